@@ -0,0 +1,99 @@
+import { existsSync, readdirSync, readFileSync } from 'node:fs'
+import { resolve, sep } from 'node:path'
+import { parseCsv, trimTrailingEmpty } from '../src/utils/csvParser.js'
+import { getDatasetMetadata, normaliseMetadata, splitMetadataBlock } from '../src/utils/datasetNames.js'
+
+const virtual_id = 'virtual:dataset-manifest'
+const resolved_id = '\0' + virtual_id
+const bound_rows = ['Max', 'Min']
+
+/**
+ * Summarises a benchmark CSV without normalising it: its metric labels and tool names.
+ * @param {string} content - CSV file content.
+ * @returns {{ labels: string[], tools: string[] }}
+ */
+function summariseCsv(content) {
+    const records = parseCsv(content)
+    if (!records.length) return { labels: [], tools: [] }
+    const labels = trimTrailingEmpty(records[0].fields.slice(1)).map(label => label.trim())
+    const tools = []
+    records.slice(1).forEach(({ fields }) => {
+        const tool = fields[0]?.trim()
+        if (tool && !bound_rows.includes(tool) && !tools.includes(tool)) tools.push(tool)
+    })
+    return { labels, tools }
+}
+
+/**
+ * Reads the sidecar of a dataset ('m6A_002.csv' -> 'm6A_002.meta.json'), if there is one.
+ * @param {string} dataDir - Absolute path of src/data.
+ * @param {string} file - CSV path relative to src/data.
+ * @returns {object} - Declared metadata (see normaliseMetadata).
+ */
+function readSidecar(dataDir, file) {
+    const path = resolve(dataDir, file.replace(/\.csv$/i, '.meta.json'))
+    if (!existsSync(path)) return {}
+    try {
+        return normaliseMetadata(JSON.parse(readFileSync(path, 'utf8')))
+    } catch (error) {
+        throw new Error(`${path}: invalid metadata sidecar (${error.message})`)
+    }
+}
+
+/**
+ * Builds the manifest of the datasets in a directory and its release subfolders. Metadata declared in
+ * a sidecar wins over the CSV header block, which wins over what the file path says.
+ * @param {string} dataDir - Absolute path of src/data.
+ * @returns {{ file: string, modification: string, kit: string, sample: string|null, groundTruth: string|null,
+ *   release: string|null, labels: string[], tools: string[] }[]}
+ */
+export function buildDatasetManifest(dataDir) {
+    return readdirSync(dataDir, { recursive: true })
+        .map(file => file.split(sep).join('/'))
+        .filter(file => file.toLowerCase().endsWith('.csv'))
+        .sort()
+        .map(file => {
+            const { metadata, body } = splitMetadataBlock(readFileSync(resolve(dataDir, file), 'utf8'))
+            return {
+                file,
+                ...getDatasetMetadata(file, { ...metadata, ...readSidecar(dataDir, file) }),
+                ...summariseCsv(body),
+            }
+        })
+}
+
+/**
+ * Vite plugin providing `virtual:dataset-manifest`: one entry per CSV in src/data or a release subfolder (file, metadata,
+ * metric labels, tools), generated at build time so the app can list datasets without loading them.
+ * The manifest is regenerated when a CSV or a sidecar is added, changed or removed during development.
+ * @param {{ dataDir?: string }} [options] - dataDir is resolved from the Vite root.
+ */
+export default function datasetManifest({ dataDir: dataDirOption = 'src/data' } = {}) {
+    let dataDir = null // Absolute path, set once the Vite config is resolved
+    return {
+        name: 'dataset-manifest',
+        configResolved(config) {
+            dataDir = resolve(config.root, dataDirOption)
+        },
+        resolveId(id) {
+            return id === virtual_id ? resolved_id : null
+        },
+        load(id) {
+            if (id !== resolved_id) return null
+            // Rebuild when the directory content changes (new or removed files)
+            this.addWatchFile(dataDir)
+            return `export default ${JSON.stringify(buildDatasetManifest(dataDir))}`
+        },
+        configureServer(server) {
+            const refresh = (path) => {
+                if (!resolve(path).startsWith(dataDir + sep) || !/\.(csv|meta\.json)$/i.test(path)) return
+                const module = server.moduleGraph.getModuleById(resolved_id)
+                if (module) server.moduleGraph.invalidateModule(module)
+                server.ws.send({ type: 'full-reload' })
+            }
+            server.watcher.on('add', refresh)
+            server.watcher.on('change', refresh)
+            server.watcher.on('unlink', refresh)
+        },
+    }
+}
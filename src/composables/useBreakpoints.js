@@ -0,0 +1,49 @@
+import { ref, computed, onMounted, onBeforeUnmount } from 'vue'
+
+// Viewport widths (CSS pixels) where the layout changes; the @media rules in RadarChart.vue use the same values
+export const breakpoints = { small: 600, medium: 1024 }
+
+// Embedded pages get a compact header; comparing window references is allowed across origins
+export const isEmbedded = typeof window !== 'undefined' && window.self !== window.top
+
+// Tool selector columns per layout
+const selector_column_counts = { small: 1, medium: 2, large: 4 }
+
+/**
+ * Tracks the viewport width (the iframe's width when the app is embedded) and the layout it calls for.
+ */
+export function useBreakpoints() {
+    const hasWindow = typeof window !== 'undefined'
+    const viewportWidth = ref(hasWindow ? window.innerWidth : breakpoints.medium)
+
+    const onResize = () => {
+        viewportWidth.value = window.innerWidth
+    }
+
+    onMounted(() => {
+        window.addEventListener('resize', onResize)
+        onResize()
+    })
+
+    onBeforeUnmount(() => {
+        window.removeEventListener('resize', onResize)
+    })
+
+    const breakpoint = computed(() => {
+        if (viewportWidth.value < breakpoints.small) return 'small'
+        if (viewportWidth.value < breakpoints.medium) return 'medium'
+        return 'large'
+    })
+
+    const isSmallScreen = computed(() => breakpoint.value === 'small')
+
+    const selectorColumnCount = computed(() => selector_column_counts[breakpoint.value])
+
+    return {
+        viewportWidth,
+        breakpoint,
+        isSmallScreen,
+        isEmbedded,
+        selectorColumnCount,
+    }
+}
@@ -1,42 +1,65 @@
 import { ref, computed, watch } from 'vue'
-import { generateColors } from '../utils/chartConfig'
-import { getStoredWithExpiry, setStoredWithExpiry } from '../utils/storage'
+import { Chart } from 'chart.js'
+import {
+    generateColors,
+    rankingPresets,
+    defaultRankingPreset,
+    describeTool,
+    colorPalettes,
+    defaultColorPalette,
+    markerShapes,
+    getMarkerShape,
+} from '../utils/chartConfig'
+import { getPreference, setPreference } from '../utils/storage'
+import { getLoadedIcon, loadIcons, hasSvgIcons } from '../utils/icons'
+import { isRetrainedTool } from '../utils/toolPairs'
 
 const custom_maxWidth = 15
-const custom_maxModelNumPerColumn = 5
+const custom_minWidth = 8 // Fewest characters per label line, on the narrowest charts
+const custom_icon_hide_width = 420 // Charts narrower than this (CSS pixels) draw no metric icons
+const custom_compact_padding = 12
 const custom_padding_label_to_point = 0
 const point_hover_showing_model_name = true
 const maxChartWidth = 1324
 const debug_chart = false
+const custom_span_missing_values = false // true: connect the line across missing axes; false: break it
+const custom_missing_marker_size = 5
+const custom_center_offset = 0.25 // Empty band below 0 (as a fraction of the scale range) so low values stay readable
+const custom_scale_step = 0.25
+export const custom_retrain_dash = [10, 6] // Line dash of retrained variants
+const overlay_color = 'hsl(0, 0%, 45%)' // Envelope and median traces
+export const quartile_colors = { top: '#1a9850', bottom: '#d73027' } // Quartile highlight of the hovered tool's points
 
-// Image cache
-const imageCache = ref({})
-
-// Get icon URL
-function getIconUrl(label) {
-    const imageName = label.toLowerCase().replace(/\s+/g, '') + '.png'
-    return new URL(`../assets/icons/${imageName}`, import.meta.url).href
+/**
+ * Whether a metric value is missing (the tool was not evaluated on that metric).
+ * @param {number|null|undefined} value - Metric value.
+ * @returns {boolean}
+ */
+export function isMissingValue(value) {
+    return value === null || value === undefined || Number.isNaN(value)
 }
 
-// Preload images
-function preloadImages(labels) {
-    labels.forEach(label => {
-        const imageSrc = getIconUrl(label)
-        if (!imageCache.value[imageSrc]) {
-            const img = new Image()
-            img.src = imageSrc
-            img.onload = () => {
-                setTimeout(() => {
-                    imageCache.value[imageSrc] = img
-                    console.log(`Loaded image for ${label}: ${imageSrc}, complete: ${img.complete}`)
-                }, 100)
-            }
-            img.onerror = () => {
-                console.error(`Failed to load image for ${label}: ${imageSrc}`)
-            }
-            imageCache.value[imageSrc] = img // Immediate cache, even if not loaded
-        }
+/**
+ * Missing-aware ranking score: the weighted mean of the metrics that are available for a tool.
+ * Missing metrics neither add to nor subtract from the score; `coverage` is the share of the
+ * total weight that was available, so that ties can be broken in favour of the better evaluated tool.
+ * @param {(number|null)[]} values - Metric values of one tool.
+ * @param {number[]} [weights] - Weight per metric (defaults to 1 for every metric).
+ * @returns {{ score: number, coverage: number }} - Score (-Infinity if nothing weighted is available) and coverage.
+ */
+export function computeModelScore(values, weights) {
+    let weightedSum = 0
+    let availableWeight = 0
+    let totalWeight = 0
+    values.forEach((val, i) => {
+        const weight = weights ? (weights[i] ?? 0) : 1
+        totalWeight += weight
+        if (isMissingValue(val) || weight <= 0) return
+        weightedSum += weight * val
+        availableWeight += weight
     })
+    if (availableWeight === 0) return { score: -Infinity, coverage: 0 }
+    return { score: weightedSum / availableWeight, coverage: availableWeight / totalWeight }
 }
 
 /**
@@ -147,24 +170,45 @@ function wrapLabel(label, maxWidth, maxLines = 3) {
 
 
 
+/**
+ * Characters per point-label line for a chart width: fewer on narrow charts, so labels wrap
+ * instead of running into each other.
+ * @param {number} width - Chart width in CSS pixels.
+ * @returns {number}
+ */
+function getLabelWrapWidth(width) {
+    return Math.max(custom_minWidth, Math.min(custom_maxWidth, Math.round(width / 40)))
+}
+
 /**
  * Chart.js plugin for drawing icons next to radar chart labels.
+ * With an `onLabelClick(label)` option, clicking a point label or its icon calls it (the pointer shows over them).
  */
 export const pointLabelImagesPlugin = {
     id: 'pointLabelImages',
+    // Label clicks are handled here: the chart's onClick only fires inside the chart area, the icons are outside it
+    afterEvent(chart, args, options) {
+        const { event } = args
+        if (!options?.onLabelClick || (event.type !== 'click' && event.type !== 'mousemove')) return
+        const label = findPointLabelAt(chart, event)
+        if (event.type === 'mousemove') {
+            chart.canvas.style.cursor = label ? 'pointer' : ''
+        } else if (label) {
+            options.onLabelClick(label)
+        }
+    },
     afterDraw(chart) {
         // const maxChartWidth = 1200
         // const effectiveWidth = Math.min(window.innerWidth, maxChartWidth)
 
+        // Registered globally: charts without a radial scale (e.g. the drill-down bar chart) have no labels to decorate
         const { ctx, scales: { r }, width } = chart
         const labelPositions = r?._pointLabelItems
         const canvas = chart.canvas
-        if (!labelPositions || !canvas || !chart.data.labels.length) {
-            console.warn('Plugin afterDraw skipped: Invalid labels or labelPositions')
-            return
-        }
+        if (!labelPositions || !canvas || !chart.data.labels?.length) return
 
         const debug = debug_chart // debug mode
+        if (!debug && getDefaultIconMetrics(width).hidden) return
         // const fontSize = Math.max(10, effectiveWidth / 80)
         const centerX = r.xCenter
         const centerY = r.yCenter
@@ -222,91 +266,27 @@ export const pointLabelImagesPlugin = {
             document.body.appendChild(panel)
         }
 
+        const defaults = getDefaultIconMetrics(width)
         const padding = debug && document.getElementById('padding-slider')
             ? Number(document.getElementById('padding-slider').value)
-            : Math.max(10, width / 30)
+            : defaults.padding
 
         const imageSize = debug && document.getElementById('imageSize-slider')
             ? Number(document.getElementById('imageSize-slider').value)
-            : Math.max(20, width / 15)
+            : defaults.imageSize
         // ====== END: Create the debug panel in the bottom-left corner ======
 
-        // ====== Update the font settings of ctx to ensure accurate measureText ======
-        ctx.textAlign = 'center'
-        ctx.textBaseline = 'middle'
-        // ====== Get the font size from the chart configuration ======
-        const fontOption = chart.options.scales.r.pointLabels.font
-        let fontSize
-        if (typeof fontOption.size === 'function') {
-            fontSize = fontOption.size({ chart })
-        } else {
-            fontSize = fontOption.size || 12 // Default font size
-        }
-        ctx.font = `${fontSize}px sans-serif`
-        const lineHeight = fontSize * 1.2
-
-
-        function getTextBlockSize(lines) {
-            const widths = lines.map(line => ctx.measureText(line).width)
-            const maxWidth = Math.max(...widths)
-            const height = lines.length * lineHeight
-            return { maxWidth, height }
-        }
-
-        function adjustLabelPosition(x, y, rad, maxWidth, textHeight) {
-            let adjX = x
-            let adjY = y
-
-            if (Math.cos(rad) > 0.1) {
-                adjX += maxWidth / 2
-            } else if (Math.cos(rad) < -0.1) {
-                adjX -= maxWidth / 2
-            }
-
-            if (Math.sin(rad) > 0.1) {
-                adjY += textHeight / 2
-            } else if (Math.sin(rad) < -0.1) {
-                adjY += textHeight / 2
-            }
+        const layout = computeIconLayout(chart, padding, imageSize)
 
-            return { adjX, adjY }
-        }
-
-        chart.data.labels.forEach((label, index) => {
-            const position = labelPositions[index]
-            if (!position) return
-
-            const lines = wrapLabel(label, custom_maxWidth)
-            const { maxWidth, height: textHeight } = getTextBlockSize(lines)
-
-            const imageSrc = getIconUrl(label)
-            const img = imageCache.value[imageSrc]
-            if (!img || !img.complete) {
-                console.warn(`Image not loaded for ${label}: ${imageSrc}`)
-                return
-            }
-
-            const { x, y } = position
-            const radOrig = Math.atan2(y - centerY, x - centerX)
-            const { adjX, adjY } = adjustLabelPosition(x, y, radOrig, maxWidth, textHeight)
-            const radAdj = Math.atan2(adjY - centerY, adjX - centerX)
-
-            const halfWidth = maxWidth / 2
-            const halfHeight = textHeight / 2
-            const offsetText = Math.abs(Math.cos(radAdj)) * halfWidth + Math.abs(Math.sin(radAdj)) * halfHeight
-            const offset = offsetText + imageSize / 2 + padding
-
-            let imageX = adjX + Math.cos(radAdj) * offset - imageSize / 2
-            let imageY = adjY + Math.sin(radAdj) * offset - imageSize / 2
-
-            imageX = Math.max(0, Math.min(canvas.width - imageSize, imageX))
-            imageY = Math.max(0, Math.min(canvas.height - imageSize, imageY))
+        // Icons still loading are skipped; useChart redraws the charts once they are loaded
+        layout.forEach(({ icon, imageX, imageY, adjX, adjY, halfWidth, halfHeight }) => {
+            if (!icon) return
 
             if (debug) {
                 ctx.save()
                 ctx.strokeStyle = 'rgba(255,0,0,0.5)'
                 ctx.lineWidth = 1
-                ctx.strokeRect(adjX - halfWidth, adjY - halfHeight, maxWidth, textHeight)
+                ctx.strokeRect(adjX - halfWidth, adjY - halfHeight, halfWidth * 2, halfHeight * 2)
 
                 ctx.strokeStyle = 'rgba(0,0,255,0.5)'
                 ctx.strokeRect(imageX, imageY, imageSize, imageSize)
@@ -326,13 +306,409 @@ export const pointLabelImagesPlugin = {
                 ctx.restore()
             }
 
-            ctx.drawImage(img, imageX, imageY, imageSize, imageSize)
+            ctx.drawImage(icon.img, imageX, imageY, imageSize, imageSize)
+        })
+    }
+}
+
+/**
+ * Default icon padding and size for a chart width (what the icon plugin uses outside debug mode).
+ * Icons shrink with the chart and are hidden on very narrow charts, where they would cover the labels.
+ * @param {number} width - Chart width in CSS pixels.
+ * @returns {{ padding: number, imageSize: number, hidden: boolean }}
+ */
+export function getDefaultIconMetrics(width) {
+    if (width < custom_icon_hide_width) return { padding: 0, imageSize: 0, hidden: true }
+    return { padding: Math.max(10, width / 30), imageSize: Math.max(20, width / 15), hidden: false }
+}
+
+/**
+ * Computes where the icon of each point label goes: just outside the (wrapped) label text,
+ * along the ray from the chart centre.
+ * @param {import('chart.js').Chart} chart - A drawn radar chart.
+ * @param {number} padding - Gap between label text and icon.
+ * @param {number} imageSize - Icon edge length.
+ * @returns {{ label: string, icon: object|null, imageX: number, imageY: number,
+ *   adjX: number, adjY: number, halfWidth: number, halfHeight: number }[]} - `icon` is the loaded icon (see
+ *   loadIcon in utils/icons), in the mode set by the chart's pointLabelImages options; null while loading.
+ */
+export function computeIconLayout(chart, padding, imageSize) {
+    const { ctx, scales: { r }, canvas } = chart
+    const labelPositions = r?._pointLabelItems
+    if (!labelPositions) return []
+    const centerX = r.xCenter
+    const centerY = r.yCenter
+    const iconOptions = chart.options.plugins?.pointLabelImages
+
+    // ====== Update the font settings of ctx to ensure accurate measureText ======
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    // ====== Get the font size from the chart configuration ======
+    const fontOption = chart.options.scales.r.pointLabels.font
+    let fontSize
+    if (typeof fontOption.size === 'function') {
+        fontSize = fontOption.size({ chart })
+    } else {
+        fontSize = fontOption.size || 12 // Default font size
+    }
+    ctx.font = `${fontSize}px sans-serif`
+    const lineHeight = fontSize * 1.2
+
+
+    function getTextBlockSize(lines) {
+        const widths = lines.map(line => ctx.measureText(line).width)
+        const maxWidth = Math.max(...widths)
+        const height = lines.length * lineHeight
+        return { maxWidth, height }
+    }
+
+    function adjustLabelPosition(x, y, rad, maxWidth, textHeight) {
+        let adjX = x
+        let adjY = y
+
+        if (Math.cos(rad) > 0.1) {
+            adjX += maxWidth / 2
+        } else if (Math.cos(rad) < -0.1) {
+            adjX -= maxWidth / 2
+        }
+
+        if (Math.sin(rad) > 0.1) {
+            adjY += textHeight / 2
+        } else if (Math.sin(rad) < -0.1) {
+            adjY += textHeight / 2
+        }
+
+        return { adjX, adjY }
+    }
+
+    const layout = []
+    chart.data.labels.forEach((label, index) => {
+        const position = labelPositions[index]
+        if (!position) return
+
+        const lines = wrapLabel(label, getLabelWrapWidth(chart.width))
+        const { maxWidth, height: textHeight } = getTextBlockSize(lines)
+
+        const icon = getLoadedIcon(label, { svg: Boolean(iconOptions?.svg) })
+
+        const { x, y } = position
+        const radOrig = Math.atan2(y - centerY, x - centerX)
+        const { adjX, adjY } = adjustLabelPosition(x, y, radOrig, maxWidth, textHeight)
+        const radAdj = Math.atan2(adjY - centerY, adjX - centerX)
+
+        const halfWidth = maxWidth / 2
+        const halfHeight = textHeight / 2
+        const offsetText = Math.abs(Math.cos(radAdj)) * halfWidth + Math.abs(Math.sin(radAdj)) * halfHeight
+        const offset = offsetText + imageSize / 2 + padding
+
+        let imageX = adjX + Math.cos(radAdj) * offset - imageSize / 2
+        let imageY = adjY + Math.sin(radAdj) * offset - imageSize / 2
+
+        imageX = Math.max(0, Math.min(canvas.width - imageSize, imageX))
+        imageY = Math.max(0, Math.min(canvas.height - imageSize, imageY))
+
+        layout.push({ label, icon, imageX, imageY, adjX, adjY, halfWidth, halfHeight })
+    })
+    return layout
+}
+
+
+
+/**
+ * Finds the metric whose point label, or icon, is under a chart event.
+ * @param {import('chart.js').Chart} chart - A drawn radar chart.
+ * @param {{ x: number, y: number }} position - Event position on the canvas.
+ * @returns {string|null} - Metric label, or null.
+ */
+export function findPointLabelAt(chart, { x, y }) {
+    const items = chart.scales.r?._pointLabelItems
+    if (!items) return null
+    const isInside = (left, top, right, bottom) => x >= left && x <= right && y >= top && y <= bottom
+    const index = items.findIndex(item => item?.visible && isInside(item.left, item.top, item.right, item.bottom))
+    if (index !== -1) return chart.data.labels[index]
+
+    const { padding, imageSize, hidden } = getDefaultIconMetrics(chart.width)
+    if (hidden || chart.options.plugins?.pointLabelImages === false) return null
+    chart.ctx.save() // computeIconLayout changes the font settings to measure the labels
+    const layout = computeIconLayout(chart, padding, imageSize)
+    chart.ctx.restore()
+    const icon = layout.find(({ imageX, imageY }) => isInside(imageX, imageY, imageX + imageSize, imageY + imageSize))
+    return icon ? icon.label : null
+}
+
+/**
+ * Reorders per-metric values into the order the radar draws its axes:
+ * the first label stays on top, the remaining labels are reversed (clockwise reading order).
+ * @param {any[]} values - Values in CSV column order.
+ * @returns {any[]} - Values in axis order.
+ */
+export function toAxisOrder(values) {
+    return values.length > 0 ? [values[0], ...values.slice(1).reverse()] : []
+}
+
+/**
+ * Metric labels to draw, in axis order: the visible axes chosen in the Metric axes panel that the data has,
+ * or every label in the default axis order when no axes are chosen.
+ * @param {string[]} labels - Labels of the data, in CSV column order.
+ * @param {import('vue').Ref<string[]>|null} axisLabels - Visible labels in axis order (see useMetricAxes).
+ * @returns {string[]}
+ */
+export function getAxisLabels(labels, axisLabels) {
+    return axisLabels?.value?.length ? axisLabels.value.filter(label => labels.includes(label)) : toAxisOrder(labels)
+}
+
+/**
+ * Formats a metric value for tooltips, appending the raw CSV value when it differs from
+ * the normalised one (i.e. when the Max/Min rows rescale the metric).
+ * @param {number} value - Normalised value.
+ * @param {number|null|undefined} raw - Raw value from the CSV.
+ * @returns {string}
+ */
+export function formatMetricValue(value, raw) {
+    const text = Number(value).toFixed(4)
+    if (isMissingValue(raw) || Math.abs(raw - value) < 1e-9) return text
+    return `${text} (raw: ${Number(raw).toPrecision(4)})`
+}
+
+/**
+ * Chart.js plugin for marking axes on which a dataset has no value ('NA' in the CSV).
+ * Markers are drawn as hollow crosses in the dataset colour inside the band between the
+ * scale minimum and 0, where no real value can be plotted. When several datasets miss the
+ * same axis, their markers are staggered along that band.
+ */
+export const missingValueMarkersPlugin = {
+    id: 'missingValueMarkers',
+    afterDatasetsDraw(chart) {
+        const { ctx } = chart
+        const markers = computeMissingMarkers(chart)
+        if (!markers.length) return
+
+        ctx.save()
+        ctx.lineWidth = 2
+        markers.forEach(({ x, y, size, color }) => {
+            ctx.strokeStyle = color
+            ctx.beginPath()
+            ctx.moveTo(x - size, y - size)
+            ctx.lineTo(x + size, y + size)
+            ctx.moveTo(x + size, y - size)
+            ctx.lineTo(x - size, y + size)
+            ctx.stroke()
+        })
+        ctx.restore()
+    }
+}
+
+/**
+ * Solid colour of a tool trace (point colours may be per-point arrays, see the quartile highlight).
+ * @param {object} ds - Chart.js dataset.
+ * @returns {string}
+ */
+export function getTraceColor(ds) {
+    return typeof ds.pointBackgroundColor === 'string' ? ds.pointBackgroundColor : ds.borderColor
+}
+
+/**
+ * Positions of the missing-value markers of a drawn radar chart, see missingValueMarkersPlugin.
+ * @param {import('chart.js').Chart} chart - A drawn radar chart.
+ * @returns {{ x: number, y: number, size: number, color: string }[]}
+ */
+export function computeMissingMarkers(chart) {
+    const { scales: { r } } = chart
+    if (!r || !chart.data.labels.length) return []
+
+    const missingByAxis = chart.data.labels.map(() => [])
+    chart.data.datasets.forEach((ds, datasetIndex) => {
+        if (!chart.isDatasetVisible(datasetIndex) || ds.isOverlay) return
+        ds.data.forEach((value, axisIndex) => {
+            if (isMissingValue(value)) missingByAxis[axisIndex]?.push(ds)
+        })
+    })
+
+    const bandMin = Math.min(r.min, 0)
+    const markers = []
+    missingByAxis.forEach((datasets, axisIndex) => {
+        datasets.forEach((ds, k) => {
+            const value = bandMin === 0 ? 0 : bandMin * (k + 1) / (datasets.length + 1)
+            const { x, y } = r.getPointPositionForValue(axisIndex, value)
+            markers.push({ x, y, size: custom_missing_marker_size, color: getTraceColor(ds) })
+        })
+    })
+    return markers
+}
+
+
+
+/**
+ * Quantile of sorted values, linearly interpolated between the closest ranks.
+ * @param {number[]} sorted - Values in ascending order (not empty).
+ * @param {number} q - Quantile in [0, 1].
+ * @returns {number}
+ */
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q
+    const lower = Math.floor(position)
+    const upper = Math.ceil(position)
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower)
+}
+
+/**
+ * Per-metric distribution of the values of all tools, ignoring missing values.
+ * @param {(number|null)[][]} valueArrays - Per-tool normalised values, all in the same metric order.
+ * @returns {({ min: number, q1: number, median: number, q3: number, max: number, count: number }|null)[]} -
+ *   One entry per metric, null where no tool has a value.
+ */
+export function computeMetricStats(valueArrays) {
+    const metricCount = Math.max(0, ...valueArrays.map(values => values.length))
+    return Array.from({ length: metricCount }, (_, j) => {
+        const sorted = valueArrays
+            .map(values => values[j])
+            .filter(value => !isMissingValue(value))
+            .sort((a, b) => a - b)
+        if (!sorted.length) return null
+        return {
+            min: sorted[0],
+            q1: quantile(sorted, 0.25),
+            median: quantile(sorted, 0.5),
+            q3: quantile(sorted, 0.75),
+            max: sorted[sorted.length - 1],
+            count: sorted.length,
+        }
+    })
+}
+
+/**
+ * Computes the radial scale range for a set of normalised value arrays: the outer ring is 1
+ * unless some value exceeds it, and a band below 0 keeps low values away from the centre.
+ * @param {(number|null)[][]} valueArrays - Per-tool normalised values.
+ * @returns {{ min: number, max: number }}
+ */
+export function computeScaleRange(valueArrays) {
+    let max = 1
+    valueArrays.forEach(values => {
+        values.forEach(val => {
+            if (!isMissingValue(val) && val > max) max = val
         })
+    })
+    const roundUp = val => Math.ceil(val / custom_scale_step) * custom_scale_step
+    return { min: -roundUp(custom_center_offset * max), max: roundUp(max) }
+}
+
+/**
+ * Builds the Chart.js options shared by every radar in the app.
+ * @param {object} config
+ * @param {{ min: number, max: number }} config.scaleRange - Radial scale range, see `computeScaleRange`.
+ * @param {(ctx: object, value: string) => string} [config.formatLabel] - Custom tooltip line; receives the formatted value.
+ * @param {(event: object, chartElements: object[]) => void} [config.onHover] - Hover handler.
+ * @param {(event: object, chartElements: object[]) => void} [config.onClick] - Click (and tap) handler.
+ * @param {boolean} [config.svgIcons] - Prefer the SVG metric icons over the PNG icons.
+ * @param {(label: string) => void} [config.onLabelClick] - Called with the metric when its axis label or icon is clicked.
+ * @returns {object} - Chart.js options.
+ */
+export function createRadarOptions({ scaleRange, formatLabel, onHover, onClick, onLabelClick, svgIcons = false }) {
+    return {
+        responsive: true,
+        maintainAspectRatio: false,
+
+        // Fix #1: Change layout.padding to a scriptable option
+        layout: {
+            padding: (context) => {
+                // context.chart.width -> the real-time calculated canvas width by Chart.js
+                // Room for the icons outside the labels; narrow charts have no icons
+                const { padding, imageSize, hidden } = getDefaultIconMetrics(context.chart.width)
+                if (hidden) return custom_compact_padding
+                const effectiveWidth = Math.min(context.chart.width, maxChartWidth)
+                return Math.max(padding + imageSize, effectiveWidth / 10)
+            }
+        },
+
+        interaction: {
+            mode: 'point',
+            intersect: true,
+        },
+        scales: {
+            r: {
+                min: scaleRange.min,
+                max: scaleRange.max,
+                grid: { circular: false }, /* Changed to polylines */
+                pointLabels: {
+                    // Fix #2: Change font.size to a scriptable option
+                    font: {
+                        size: (context) => {
+                            const effectiveWidth = Math.min(context.chart.width, maxChartWidth)
+                            return Math.max(10, effectiveWidth / 80)
+                        }
+                    },
+                    padding: custom_padding_label_to_point,
+                    callback: function (label) {
+                        // At most `${custom_maxWidth}` characters per line, fewer on narrow charts (`this` is the scale)
+                        return wrapLabel(label, getLabelWrapWidth(this.chart.width))
+                    }
+                },
+                ticks: {
+                    stepSize: custom_scale_step,
+                    callback: value => (value >= 0 ? value : null)
+                }
+            }
+        },
+        plugins: {
+            legend: { display: false },
+            tooltip: {
+                callbacks: {
+                    title: () => '', // remove title
+                    // Category and input type of the hovered tool, from the tool registry
+                    afterLabel: (ctx) => {
+                        const description = describeTool(ctx.dataset.tool ?? ctx.dataset.label)
+                        return description ? [description] : []
+                    },
+                    // List the metrics the hovered tool was not evaluated on
+                    afterBody: (items) => {
+                        const item = items[0]
+                        if (!item) return []
+                        const labels = item.chart.data.labels
+                        const missing = item.dataset.data
+                            .map((value, index) => (isMissingValue(value) ? labels[index] : null))
+                            .filter(Boolean)
+                        return missing.length ? ['Not evaluated:', ...missing.map(label => `  ${label}`)] : []
+                    },
+                    // label: (ctx) => `${ctx.label.toString().replace(/,/g, ' ')}: ${Number(ctx.raw).toFixed(4)}` // Merge multi-line labels and format tooltip label: 4 decimal places
+                    // label: (ctx) => `${ctx.dataset.label}: ${Number(ctx.raw).toFixed(4)}` // model name and format tooltip label: 4 decimal places
+                    label: (ctx) => {
+                        const value = formatMetricValue(ctx.raw, ctx.dataset.rawData?.[ctx.dataIndex])
+                        if (formatLabel) {
+                            return formatLabel(ctx, value)
+                        }
+                        if (point_hover_showing_model_name) {
+                            return `${ctx.dataset.label}: ${value}` // model name and format tooltip label: 4 decimal places
+                        } else {
+                            return `${ctx.label.toString().replace(/,/g, ' ')}: ${value}` // Merge multi-line labels and format tooltip label: 4 decimal places
+                        }
+                    }
+                }
+            },
+            pointLabelImages: { svg: svgIcons, onLabelClick }, // Set to false to hide the metric icons
+        },
+        onHover,
+        onClick,
     }
 }
 
 
 
+/**
+ * Splits tool names into columns for the tool selector, filling each column top to bottom.
+ * @param {string[]} models - Tool names, in display order.
+ * @param {number} [columnCount] - Number of columns (fewer if there are fewer tools).
+ * @returns {string[][]}
+ */
+export function splitIntoColumns(models, columnCount = 1) {
+    const columns = []
+    const perColumn = Math.max(1, Math.ceil(models.length / columnCount))
+    for (let i = 0; i * perColumn < models.length; i++) {
+        columns.push(models.slice(i * perColumn, (i + 1) * perColumn))
+    }
+    return columns
+}
+
 /**
  * Manage the logic of the Chart.js radar chart, including data conversion, option configuration, and interaction.
  */
@@ -340,27 +716,54 @@ export const pointLabelImagesPlugin = {
  * @param {import('vue').ComputedRef<object|null>} csvData - The current CSV data.
  * @param {import('vue').Ref<string>} selectedKit - The currently selected Kit.
  * @param {import('vue').Ref<string>} selectedCsv - The currently selected CSV filename.
+ * @param {import('vue').Ref<string[]>} [axisLabels] - Metric labels to draw, in axis order (see useMetricAxes).
+ *   Defaults to every label of the CSV.
+ * @param {{ csv?: string, models?: string[], preset?: string, weights?: object }} [initialState] - State to start
+ *   from (e.g. from a shared link); takes precedence over the stored state. `models` only applies to `csv`.
  */
-export function useChart(csvData, selectedKit, selectedCsv) {
+export function useChart(csvData, selectedKit, selectedCsv, axisLabels = null, initialState = {}) {
     const chartRef = ref(null)
     const modelNames = ref([])
     const selectedModels = ref([])
     const hoveredDatasetIndex = ref(null)
 
-    const maxModelNumPerColumn = custom_maxModelNumPerColumn // Maximum number of models to display per column
+    // Ranking weights per metric label; see rankingPresets in chartConfig.js
+    const savedRanking = initialState.preset ? initialState : getPreference('rankingWeights')
+    const rankingPreset = ref(rankingPresets[savedRanking?.preset] ? savedRanking.preset : defaultRankingPreset)
+    const metricWeights = ref(savedRanking?.weights || {})
+
+    // Colour palette and marker shapes (a second cue besides colour)
+    const savedDisplay = getPreference('chartDisplay')
+    const colorPalette = ref(savedDisplay?.palette in colorPalettes ? savedDisplay.palette : defaultColorPalette)
+    const showMarkerShapes = ref(Boolean(savedDisplay?.markers))
+    const useSvgIcons = ref(hasSvgIcons && Boolean(savedDisplay?.svgIcons)) // Vector metric icons, crisp in exports
+
+    // Statistical overlays computed from all tools of the dataset (see metricStats)
+    const savedOverlays = getPreference('chartOverlays')
+    const overlays = ref({
+        envelope: ['range', 'iqr'].includes(savedOverlays?.envelope) ? savedOverlays.envelope : 'none', // 'none' | 'range' | 'iqr'
+        median: Boolean(savedOverlays?.median),
+        quartiles: Boolean(savedOverlays?.quartiles), // Highlight the hovered tool's top/bottom-quartile metrics
+    })
+    // Tools pinned by clicking their trace or chip. Pins are kept across files and apply wherever the tool exists.
+    const savedPins = getPreference('pinnedTools')
+    const pinnedTools = ref(Array.isArray(savedPins) ? savedPins : [])
+    const activeMetric = ref(null) // Metric whose drill-down panel is open (see useMetricDrillDown)
+    let pendingInitialModels = Array.isArray(initialState.models) ? initialState.models : null
 
     // ✨ 创建一个动态的、唯一的 localStorage 键
     const storageKey = computed(() => {
         if (!selectedKit.value || !selectedCsv.value) return null
         return `selectedModels_${selectedKit.value}_${selectedCsv.value}`
     })
-    // This watcher will trigger when csvData is updated, preloading images for all labels
-
-    watch(csvData, (newCsvData) => {
+    // This watcher will trigger when csvData or the icon mode is updated, loading the icons of all labels.
+    // Charts drawn before the icons arrived are redrawn once all of them are loaded.
+    watch([csvData, useSvgIcons], ([newCsvData, svg]) => {
         console.log('csvData updated:', newCsvData)
-        if (newCsvData?.labels) {
-            preloadImages(newCsvData.labels)
-        }
+        if (!newCsvData?.labels) return
+        loadIcons(newCsvData.labels, { svg }).then(() => {
+            Object.values(Chart.instances).forEach(chart => chart.draw())
+        })
     }, { immediate: true })
 
     // Label to image mapping
@@ -374,52 +777,208 @@ export function useChart(csvData, selectedKit, selectedCsv) {
     //     return map
     // })
 
+    const labelWeights = computed(() => (csvData.value?.labels || []).map(label => getMetricWeight(label)))
+
+    /**
+     * Weight of a metric label: the user-adjusted weight if any, otherwise the preset's.
+     * @param {string} label - Metric label.
+     * @returns {number}
+     */
+    function getMetricWeight(label) {
+        if (label in metricWeights.value) return metricWeights.value[label]
+        const preset = rankingPresets[rankingPreset.value]
+        if (!preset) return 1
+        return label in preset.weights ? preset.weights[label] : preset.defaultWeight
+    }
+
+    // Sort the models in descending order based on the weighted mean of the available indicators,
+    // breaking ties by coverage (share of the weight that was evaluated)
+    const rankedModels = computed(() => {
+        if (!csvData.value) return []
+        return Object.entries(csvData.value.sortData)
+            .map(([name, values]) => ({ name, ...computeModelScore(values, labelWeights.value) }))
+            .sort((a, b) => (b.score - a.score) || (b.coverage - a.coverage))
+    })
+
+    // Composite score per tool (null if none of its weighted metrics is available)
+    const modelScores = computed(() => {
+        const map = {}
+        rankedModels.value.forEach(({ name, score }) => {
+            map[name] = Number.isFinite(score) ? score : null
+        })
+        return map
+    })
+
+    /**
+     * Switches to a ranking preset, discarding manual weight adjustments.
+     * @param {string} name - Key of rankingPresets.
+     */
+    function applyRankingPreset(name) {
+        rankingPreset.value = name
+        metricWeights.value = {}
+    }
+
+    /**
+     * Sets the weight of one metric; the ranking becomes 'Custom'.
+     * @param {string} label - Metric label.
+     * @param {number} weight - New weight (0 excludes the metric).
+     */
+    function setMetricWeight(label, weight) {
+        metricWeights.value = { ...metricWeights.value, [label]: weight }
+    }
+
+    const isCustomRanking = computed(() => Object.keys(metricWeights.value).length > 0)
+
+    watch(pinnedTools, (tools) => {
+        setPreference('pinnedTools', tools)
+    }, { deep: true })
+
+    watch([colorPalette, showMarkerShapes, useSvgIcons], ([palette, markers, svgIcons]) => {
+        setPreference('chartDisplay', { palette, markers, svgIcons })
+    })
+
+    // Save the ranking weights to localStorage
+    watch([rankingPreset, metricWeights], ([preset, weights]) => {
+        setPreference('rankingWeights', { preset, weights })
+    })
+
     // Core Optimization Part 1: Create a basic dataset
-    // This computed property will only be recalculated when csvData (i.e., the selected CSV file) changes
+    // This computed property will only be recalculated when csvData (i.e., the selected CSV file) or the ranking changes
     const baseDatasets = computed(() => {
         if (!csvData.value) {
             console.warn('baseDatasets: csvData is null')
             return []
         }
 
-        const { data: modelData, sortData } = csvData.value
+        const { data: modelData, rawData = {} } = csvData.value
         console.log('baseDatasets: modelData', modelData)
 
-        // Sort the models in descending order based on the sum of indicators
-        const modelSums = Object.entries(sortData)
-            .filter(([name]) => !name.includes('Max') && !name.includes('Min'))
-            .map(([name, values]) => ({
-                name,
-                sum: values.reduce((acc, val) => acc + (isNaN(val) ? 0 : val), 0),
-            }))
-            .sort((a, b) => b.sum - a.sum)
-
-        const sortedModelNames = modelSums.map(({ name }) => name)
+        const sortedModelNames = rankedModels.value.map(({ name }) => name)
         modelNames.value = sortedModelNames
         console.log('baseDatasets: sortedModelNames', sortedModelNames)
 
-        const colors = generateColors(sortedModelNames.length, sortedModelNames)
+        const colors = generateColors(sortedModelNames.length, sortedModelNames, colorPalette.value)
+        const colorCount = colorPalettes[colorPalette.value]?.length
 
         return sortedModelNames.map((name, i) => ({
             label: name,
             data: modelData[name] || [],
+            rawData: rawData[name] || [],
             borderColor: colors[i],
             backgroundColor: colors[i].replace('hsl', 'hsla').replace(')', ', 0.2)'),
             pointBackgroundColor: colors[i],
             fill: false, // do not fill the area under the line
             pointHitRadius: 10,
+            pointStyle: showMarkerShapes.value ? getMarkerShape(i, colorCount).style : 'circle',
+            spanGaps: custom_span_missing_values,
+            // Retrained variants share their original's colour, so tell them apart by line style
+            borderDash: isRetrainedTool(name) ? custom_retrain_dash : [],
         }))
     })
 
+    // Distribution of every tool's values per metric (in CSV label order), for the overlays
+    const metricStats = computed(() => computeMetricStats(Object.values(csvData.value?.data || {})))
+
+    watch(overlays, (newOverlays) => {
+        setPreference('chartOverlays', newOverlays)
+    }, { deep: true })
+
+    /**
+     * Builds the overlay datasets for the given axes. They come after the tool datasets, so tool
+     * dataset indices are unchanged and the overlays are drawn underneath.
+     * @param {number[]} labelIndices - CSV label index of each axis.
+     * @returns {object[]}
+     */
+    function buildOverlayDatasets(labelIndices) {
+        const stats = labelIndices.map(index => metricStats.value[index] || null)
+        const statValues = key => stats.map(stat => (stat ? stat[key] : null))
+        const toolCount = Object.keys(csvData.value?.data || {}).length
+        const overlayDatasets = []
+        const common = {
+            isOverlay: true,
+            pointRadius: 0,
+            pointHitRadius: 0,
+            pointHoverRadius: 0,
+            spanGaps: true,
+        }
+        if (overlays.value.envelope !== 'none') {
+            const isRange = overlays.value.envelope === 'range'
+            const title = isRange ? `Range of all ${toolCount} tools` : `Interquartile range of all ${toolCount} tools`
+            overlayDatasets.push({
+                ...common,
+                label: `${title} (lower)`,
+                data: statValues(isRange ? 'min' : 'q1'),
+                borderColor: overlay_color.replace(')', ', 0.4)').replace('hsl', 'hsla'),
+                borderWidth: 1,
+                backgroundColor: 'transparent',
+                fill: false,
+                hideInLegend: true, // Described by the upper bound
+            }, {
+                ...common,
+                label: title,
+                data: statValues(isRange ? 'max' : 'q3'),
+                borderColor: overlay_color.replace(')', ', 0.4)').replace('hsl', 'hsla'),
+                borderWidth: 1,
+                backgroundColor: overlay_color.replace(')', ', 0.15)').replace('hsl', 'hsla'),
+                fill: '-1', // Shade the band down to the lower bound
+            })
+        }
+        if (overlays.value.median) {
+            overlayDatasets.push({
+                ...common,
+                label: `Median of all ${toolCount} tools`,
+                data: statValues('median'),
+                borderColor: overlay_color,
+                borderWidth: 3,
+                borderDash: [4, 4],
+                backgroundColor: 'transparent',
+                pointHitRadius: 10,
+                fill: false,
+            })
+        }
+        return overlayDatasets
+    }
+
+    /**
+     * Point colours and sizes that mark the metrics where a tool is in the top (≥ Q3) or bottom (≤ Q1)
+     * quartile of all tools.
+     * @param {(number|null)[]} values - The tool's values, in axis order.
+     * @param {number[]} labelIndices - CSV label index of each axis.
+     * @param {string} color - The tool's colour, for the other points.
+     * @param {number} radius - Point radius of the other points.
+     * @returns {{ pointBackgroundColor: string[], pointRadius: number[] }}
+     */
+    function quartilePointStyles(values, labelIndices, color, radius) {
+        const quartileOf = (value, i) => {
+            const stat = metricStats.value[labelIndices[i]]
+            if (!stat || isMissingValue(value) || stat.count < 4) return null
+            if (value >= stat.q3) return 'top'
+            if (value <= stat.q1) return 'bottom'
+            return null
+        }
+        const quartiles = values.map(quartileOf)
+        return {
+            pointBackgroundColor: quartiles.map(q => quartile_colors[q] || color),
+            pointRadius: quartiles.map(q => (q ? radius + 3 : radius)),
+        }
+    }
+
     // When the CSV file is switched, all models are selected by default
     watch(baseDatasets, (newDatasets) => {
         console.log('baseDatasets updated:', newDatasets)
         // Restore selectedModels from localStorage
         if (!newDatasets || newDatasets.length === 0) return
 
+        // Models from the initial state win over localStorage, once, for the dataset they were given for
+        if (pendingInitialModels && (!initialState.csv || initialState.csv === selectedCsv.value)) {
+            selectedModels.value = pendingInitialModels.filter(model => newDatasets.some(ds => ds.label === model))
+            pendingInitialModels = null
+            return
+        }
+
         let savedModels = null
         if (storageKey.value) {
-            savedModels = getStoredWithExpiry(storageKey.value)
+            savedModels = getPreference(storageKey.value)
         }
         const validModels = Array.isArray(savedModels) ? savedModels.filter(model => newDatasets.some(ds => ds.label === model)) : []
         selectedModels.value = validModels.length > 0 ? validModels : newDatasets.map(ds => ds.label)
@@ -428,7 +987,7 @@ export function useChart(csvData, selectedKit, selectedCsv) {
     // Save selectedModels to localStorage
     watch(selectedModels, (newModels) => {
         if (storageKey.value) {
-            setStoredWithExpiry(storageKey.value, newModels)
+            setPreference(storageKey.value, newModels)
         }
     }, { deep: true })
 
@@ -438,116 +997,138 @@ export function useChart(csvData, selectedKit, selectedCsv) {
             return { labels: [], datasets: [] }
         }
 
-        const originalLabels = csvData.value.labels
-        const chartLabels = originalLabels.length > 0
-            ? [originalLabels[0], ...originalLabels.slice(1).reverse()]
-            : []
+        const { labels } = csvData.value
+        const chartLabels = getAxisLabels(labels, axisLabels)
+        const labelIndices = chartLabels.map(label => labels.indexOf(label))
         console.log('chartData: chartLabels', chartLabels)
 
         const visibleDatasets = baseDatasets.value.filter(ds => selectedModels.value.includes(ds.label))
+        // While tools are pinned, every other trace fades
+        const hasPins = visibleDatasets.some(ds => pinnedTools.value.includes(ds.label))
 
         const finalDatasets = visibleDatasets.map((ds, i) => {
             const isHovered = hoveredDatasetIndex.value === i
-            const newData = ds.data.length > 0
-                ? [ds.data[0], ...ds.data.slice(1).reverse()]
-                : []
+            const isPinned = pinnedTools.value.includes(ds.label)
+            const isFocused = isHovered || isPinned
+            const isFaded = hasPins && !isFocused
+            const newData = labelIndices.map(index => ds.data[index] ?? null)
 
-            const baseOpacity = isHovered ? 0.5 : 0.02
+            const baseOpacity = isHovered ? 0.5 : isPinned ? 0.3 : 0.02
             const backgroundColor = ds.backgroundColor.replace(/, [\d.]+?\)/, `, ${baseOpacity})`)
 
+            const pointRadius = (isFocused ? 4 : isFaded ? 1 : 2) + (showMarkerShapes.value ? 3 : 0)
+
             return {
                 ...ds,
                 data: newData,
-                borderWidth: isHovered ? 6 : 4,
-                pointRadius: isHovered ? 4 : 2,
+                rawData: labelIndices.map(index => ds.rawData[index] ?? null),
+                isPinned,
+                order: isPinned ? -1 : 0, // Pinned traces are drawn on top
+                borderWidth: isFocused ? 6 : isFaded ? 2 : 4,
+                pointRadius,
                 pointHoverRadius: 6,
-                borderColor: isHovered ? ds.borderColor : ds.borderColor.replace('hsl', 'hsla').replace(')', ', 0.3)'),
+                borderColor: isFocused
+                    ? ds.borderColor
+                    : ds.borderColor.replace('hsl', 'hsla').replace(')', `, ${isFaded ? 0.12 : 0.3})`),
                 backgroundColor,
-                fill: isHovered
+                fill: isFocused,
+                ...(isHovered && overlays.value.quartiles
+                    ? quartilePointStyles(newData, labelIndices, ds.pointBackgroundColor, pointRadius)
+                    : {}),
             }
         })
 
         console.log('chartData: finalDatasets', finalDatasets)
         return {
             labels: chartLabels,
-            datasets: finalDatasets,
+            datasets: [...finalDatasets, ...buildOverlayDatasets(labelIndices)],
         }
     })
 
+    // Radar scale: values are normalised against the Max/Min rows, so the outer ring is 1
+    // unless some value exceeds its declared Max.
+    const scaleRange = computed(() => computeScaleRange(Object.values(csvData.value?.data || {})))
+
     // Chart configuration
-    const chartOptions = computed(() => {
-        return {
-            responsive: true,
-            maintainAspectRatio: false,
-
-            // Fix #1: Change layout.padding to a scriptable option
-            layout: {
-                padding: (context) => {
-                    // context.chart.width -> the real-time calculated canvas width by Chart.js
-                    const effectiveWidth = Math.min(context.chart.width, maxChartWidth)
-                    return Math.max(100, effectiveWidth / 10)
-                }
-            },
+    const chartOptions = computed(() => createRadarOptions({
+        scaleRange: scaleRange.value,
+        svgIcons: useSvgIcons.value,
+        onHover: (event, chartElements) => {
+            hoveredDatasetIndex.value = chartElements.length > 0 ? chartElements[0].datasetIndex : null
+        },
+        // Clicking (or tapping) a trace pins or unpins its tool
+        onClick: (event, chartElements) => {
+            const dataset = chartElements.length > 0 ? chartData.value.datasets[chartElements[0].datasetIndex] : null
+            if (dataset && !dataset.isOverlay) togglePin(dataset.label)
+        },
+        // Clicking an axis label or icon opens the drill-down of that metric
+        onLabelClick: (label) => {
+            activeMetric.value = label
+        },
+    }))
+
+    /**
+     * Pins a tool, or unpins it if it is already pinned.
+     * @param {string} name - Tool name.
+     */
+    function togglePin(name) {
+        pinnedTools.value = pinnedTools.value.includes(name)
+            ? pinnedTools.value.filter(tool => tool !== name)
+            : [...pinnedTools.value, name]
+    }
 
-            interaction: {
-                mode: 'point',
-                intersect: true,
-            },
-            scales: {
-                r: {
-                    min: -0.25,
-                    max: 1,
-                    grid: { circular: false }, /* Changed to polylines */
-                    pointLabels: {
-                        // Fix #2: Change font.size to a scriptable option
-                        font: {
-                            size: (context) => {
-                                const effectiveWidth = Math.min(context.chart.width, maxChartWidth)
-                                return Math.max(10, effectiveWidth / 80)
-                            }
-                        },
-                        padding: custom_padding_label_to_point,
-                        callback: function (label) {
-                            // The maximum width per line is `${custom_maxWidth}` characters, which can be adjusted as needed
-                            return wrapLabel(label, custom_maxWidth)
-                        }
-                    },
-                    ticks: {
-                        stepSize: 0.25,
-                        callback: value => (value >= 0 ? value : null)
-                    }
-                }
-            },
-            plugins: {
-                legend: { display: false },
-                tooltip: {
-                    callbacks: {
-                        title: () => '', // remove title
-                        // label: (ctx) => `${ctx.label.toString().replace(/,/g, ' ')}: ${Number(ctx.raw).toFixed(4)}` // Merge multi-line labels and format tooltip label: 4 decimal places
-                        // label: (ctx) => `${ctx.dataset.label}: ${Number(ctx.raw).toFixed(4)}` // model name and format tooltip label: 4 decimal places
-                        label: (ctx) => {
-                            if (point_hover_showing_model_name) {
-                                return `${ctx.dataset.label}: ${Number(ctx.raw).toFixed(4)}` // model name and format tooltip label: 4 decimal places
-                            } else {
-                                return `${ctx.label.toString().replace(/,/g, ' ')}: ${Number(ctx.raw).toFixed(4)}` // Merge multi-line labels and format tooltip label: 4 decimal places
-                            }
-                        }
-                    }
-                },
-                pointLabelImages: pointLabelImagesPlugin, // Enable plugin if icons are needed, otherwise comment out this line
-            },
-            onHover: (event, chartElements) => {
-                hoveredDatasetIndex.value = chartElements.length > 0 ? chartElements[0].datasetIndex : null
-            }
-        }
+    /**
+     * Unpins every tool, including those pinned in other files.
+     */
+    function clearPins() {
+        pinnedTools.value = []
+    }
+
+    // Exact values of the pinned tools that exist in the current file, on the drawn axes
+    const pinnedDetails = computed(() => {
+        if (!csvData.value) return []
+        const labels = chartData.value.labels
+        const columns = labels.map(label => csvData.value.labels.indexOf(label))
+        return baseDatasets.value
+            .filter(ds => pinnedTools.value.includes(ds.label))
+            .map(ds => ({
+                name: ds.label,
+                color: ds.borderColor,
+                isSelected: selectedModels.value.includes(ds.label),
+                score: modelScores.value[ds.label] ?? null,
+                values: columns.map(index => ds.data[index] ?? null),
+                rawValues: columns.map(index => ds.rawData[index] ?? null),
+            }))
     })
 
-    function selectAllModels() {
-        selectedModels.value = [...modelNames.value]
+    /**
+     * Selects every tool, or adds the given tools to the selection.
+     * @param {string[]} [names] - Tools to select (e.g. those left by a selector filter).
+     */
+    function selectAllModels(names = null) {
+        selectedModels.value = names
+            ? modelNames.value.filter(name => selectedModels.value.includes(name) || names.includes(name))
+            : [...modelNames.value]
     }
 
-    function clearAllModels() {
-        selectedModels.value = []
+    /**
+     * Clears the selection, or removes the given tools from it.
+     * @param {string[]} [names] - Tools to unselect.
+     */
+    function clearAllModels(names = null) {
+        selectedModels.value = names ? selectedModels.value.filter(name => !names.includes(name)) : []
+    }
+
+    // Whether the dataset has both original tools and retrained variants, so that either side can be selected
+    const hasRetrainVariants = computed(() => modelNames.value.some(isRetrainedTool)
+        && modelNames.value.some(name => !isRetrainedTool(name)))
+
+    /**
+     * Selects the original tools, the retrained variants, or both.
+     * @param {'original'|'retrained'|'both'} variant
+     */
+    function selectRetrainVariants(variant) {
+        selectedModels.value = modelNames.value.filter(name => variant === 'both' || isRetrainedTool(name) === (variant === 'retrained'))
     }
 
     const modelColors = computed(() => {
@@ -558,14 +1139,86 @@ export function useChart(csvData, selectedKit, selectedCsv) {
         return map
     })
 
-    const modelColumns = computed(() => {
-        const models = modelNames.value
-        const columns = []
-        const columnCount = Math.ceil(models.length / maxModelNumPerColumn)
-        for (let i = 0; i < columnCount; i++) {
-            columns.push(models.slice(i * maxModelNumPerColumn, (i + 1) * maxModelNumPerColumn))
+    // Marker shape per tool, for the legend glyphs in the tool selector (null when shapes are off)
+    const modelMarkers = computed(() => {
+        const map = {}
+        baseDatasets.value.forEach(ds => {
+            map[ds.label] = showMarkerShapes.value ? markerShapes.find(shape => shape.style === ds.pointStyle)?.glyph : null
+        })
+        return map
+    })
+
+    // Keyboard access to the radar points: ←/→ move along the axes, ↑/↓ between tools, Esc leaves
+    const activePoint = ref(null) // { datasetIndex, index }
+
+    const activePointText = computed(() => {
+        const point = activePoint.value
+        const dataset = chartData.value.datasets[point?.datasetIndex]
+        if (!dataset) return ''
+        const label = chartData.value.labels[point.index]
+        const value = dataset.data[point.index]
+        return isMissingValue(value)
+            ? `${dataset.label}, ${label}: not evaluated`
+            : `${dataset.label}, ${label}: ${formatMetricValue(value, dataset.rawData?.[point.index])}`
+    })
+
+    /**
+     * Moves the keyboard focus between radar points and shows the tooltip of the focused point.
+     * @param {KeyboardEvent} event - keydown on the chart canvas.
+     */
+    function onChartKeydown(event) {
+        const chart = chartRef.value?.chart
+        const datasetCount = chartData.value.datasets.filter(ds => !ds.isOverlay).length
+        const axisCount = chartData.value.labels.length
+        if (!chart || !datasetCount || !axisCount) return
+
+        let { datasetIndex, index } = activePoint.value || { datasetIndex: 0, index: -1 }
+        datasetIndex = Math.min(datasetIndex, datasetCount - 1)
+        const steps = {
+            ArrowRight: [0, 1],
+            ArrowLeft: [0, -1],
+            ArrowDown: [1, 0],
+            ArrowUp: [-1, 0],
+        }
+        if (event.key === 'Escape') {
+            activePoint.value = null
+            chart.setActiveElements([])
+            chart.tooltip.setActiveElements([], { x: 0, y: 0 })
+            chart.update()
+            return
+        }
+        // Enter or Space pins the tool of the focused point
+        if ((event.key === 'Enter' || event.key === ' ') && activePoint.value) {
+            event.preventDefault()
+            togglePin(chartData.value.datasets[datasetIndex].label)
+            return
+        }
+        if (!steps[event.key]) return
+        event.preventDefault()
+
+        const [datasetStep, axisStep] = steps[event.key]
+        datasetIndex = (datasetIndex + datasetStep + datasetCount) % datasetCount
+        index = Math.max(0, (index + axisStep + axisCount) % axisCount)
+        activePoint.value = { datasetIndex, index }
+
+        // Missing values have no point to show a tooltip on; the live region still announces them
+        const element = chart.getDatasetMeta(datasetIndex).data[index]
+        const active = element && !element.skip ? [{ datasetIndex, index }] : []
+        chart.setActiveElements(active)
+        chart.tooltip.setActiveElements(active, { x: element?.x || 0, y: element?.y || 0 })
+        chart.update()
+    }
+
+    // Text alternative of the radar: every drawn tool with its value on every axis
+    const chartSummary = computed(() => {
+        const { labels, datasets } = chartData.value
+        return {
+            labels,
+            rows: datasets.filter(ds => !ds.isOverlay).map(ds => ({
+                tool: ds.label,
+                values: ds.data.map((value, i) => (isMissingValue(value) ? 'not evaluated' : formatMetricValue(value, ds.rawData?.[i]))),
+            })),
         }
-        return columns
     })
 
     return {
@@ -575,8 +1228,30 @@ export function useChart(csvData, selectedKit, selectedCsv) {
         modelNames,
         selectedModels,
         modelColors,
-        modelColumns,
+        modelMarkers,
+        colorPalette,
+        showMarkerShapes,
+        useSvgIcons,
+        activePointText,
+        onChartKeydown,
+        chartSummary,
+        overlays,
+        metricStats,
+        modelScores,
+        rankingPreset,
+        metricWeights,
+        isCustomRanking,
+        getMetricWeight,
+        applyRankingPreset,
+        setMetricWeight,
         selectAllModels,
         clearAllModels,
+        hasRetrainVariants,
+        selectRetrainVariants,
+        pinnedTools,
+        pinnedDetails,
+        togglePin,
+        clearPins,
+        activeMetric,
     }
 }
@@ -0,0 +1,503 @@
+import { ref } from 'vue'
+import { Chart } from 'chart.js'
+import { drawPoint } from 'chart.js/helpers'
+import { computeIconLayout, computeMissingMarkers, getDefaultIconMetrics, getTraceColor } from './useChart'
+import { isRetrainedTool } from '../utils/toolPairs'
+
+// Logical size of the exported radar, in CSS pixels (PNG output is scaled by DPI / 96)
+const export_chart_width = 1000
+const export_chart_height = 800
+const export_caption_height = 48
+const export_legend_column_width = 200
+const export_legend_row_height = 24
+const export_legend_padding = 16
+const retrain_outline_color = '#45b2e0' // Same cyan as the retrain border in the tool selector
+
+/**
+ * Escapes text for use in SVG/XML content and attributes.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+}
+
+/**
+ * Triggers a browser download of a Blob.
+ * @param {Blob} blob - File content.
+ * @param {string} fileName - Suggested file name.
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = fileName
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+// CRC-32 table for writing PNG chunks
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    return c >>> 0
+})
+
+function crc32(bytes) {
+    let crc = 0xffffffff
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+    return (crc ^ 0xffffffff) >>> 0
+}
+
+/**
+ * Inserts a pHYs chunk into a PNG so image editors and journals read the intended DPI.
+ * @param {Blob} blob - PNG produced by canvas.toBlob.
+ * @param {number} dpi - Dots per inch.
+ * @returns {Promise<Blob>}
+ */
+async function setPngDpi(blob, dpi) {
+    const png = new Uint8Array(await blob.arrayBuffer())
+    const pixelsPerMetre = Math.round(dpi / 0.0254)
+    const chunk = new Uint8Array(21)
+    const view = new DataView(chunk.buffer)
+    view.setUint32(0, 9) // Data length
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4) // 'pHYs'
+    view.setUint32(8, pixelsPerMetre)
+    view.setUint32(12, pixelsPerMetre)
+    chunk[16] = 1 // Unit: metre
+    view.setUint32(17, crc32(chunk.subarray(4, 17)))
+    // The IHDR chunk always comes first: 8-byte signature + 25-byte IHDR
+    const headerEnd = 33
+    return new Blob([png.subarray(0, headerEnd), chunk, png.subarray(headerEnd)], { type: 'image/png' })
+}
+
+/**
+ * Builds the legend entries of an export from the chart datasets.
+ * @param {object[]} datasets - Chart.js datasets.
+ * @returns {{ label: string, color: string, retrain: boolean, dash: number[], pointStyle: string|null }[]}
+ */
+function getLegendItems(datasets) {
+    return datasets.filter(ds => !ds.hideInLegend).map(ds => ({
+        label: ds.label,
+        color: getTraceColor(ds),
+        retrain: !ds.isOverlay && isRetrainedTool(ds.label),
+        dash: ds.borderDash || [],
+        pointStyle: hasMarkerShape(ds) ? ds.pointStyle : null,
+    }))
+}
+
+/**
+ * Height of the legend block for a number of items.
+ * @param {number} count - Number of legend items.
+ * @returns {number}
+ */
+function getLegendHeight(count) {
+    const columns = Math.max(1, Math.floor((export_chart_width - 2 * export_legend_padding) / export_legend_column_width))
+    return Math.ceil(count / columns) * export_legend_row_height + 2 * export_legend_padding
+}
+
+/**
+ * Position of the n-th legend item relative to the top of the legend block.
+ * @param {number} index - Legend item index.
+ * @returns {{ x: number, y: number }} - Left edge and vertical centre of the item.
+ */
+function getLegendItemPosition(index) {
+    const columns = Math.max(1, Math.floor((export_chart_width - 2 * export_legend_padding) / export_legend_column_width))
+    return {
+        x: export_legend_padding + (index % columns) * export_legend_column_width,
+        y: export_legend_padding + Math.floor(index / columns) * export_legend_row_height + export_legend_row_height / 2,
+    }
+}
+
+/**
+ * Whether a dataset uses a marker shape other than the default dot (see markerShapes in chartConfig.js).
+ * @param {object} ds - Chart.js dataset.
+ * @returns {boolean}
+ */
+function hasMarkerShape(ds) {
+    return Boolean(ds.pointStyle) && ds.pointStyle !== 'circle'
+}
+
+/**
+ * SVG markup of a point marker, following Chart.js pointStyle geometry.
+ * @param {string} style - Chart.js pointStyle.
+ * @param {number} x - Centre x.
+ * @param {number} y - Centre y.
+ * @param {number} r - Radius.
+ * @param {string} color - Fill/stroke colour.
+ * @returns {string}
+ */
+function svgMarker(style, x, y, r, color) {
+    const fmt = n => Number(n).toFixed(2)
+    const polygon = points => `<polygon points="${points.map(([px, py]) => `${fmt(px)},${fmt(py)}`).join(' ')}" fill="${color}"/>`
+    const lines = segments => `<path d="${segments.map(([x1, y1, x2, y2]) => `M${fmt(x1)} ${fmt(y1)} L${fmt(x2)} ${fmt(y2)}`).join(' ')}" stroke="${color}" stroke-width="2"/>`
+    const d = r / Math.SQRT2
+    switch (style) {
+        case 'rect':
+        case 'rectRounded':
+            return `<rect x="${fmt(x - d)}" y="${fmt(y - d)}" width="${fmt(2 * d)}" height="${fmt(2 * d)}"${style === 'rectRounded' ? ` rx="${fmt(r / 3)}"` : ''} fill="${color}"/>`
+        case 'triangle':
+            return polygon([[x, y - r], [x + r * Math.sin(Math.PI / 3), y + r / 2], [x - r * Math.sin(Math.PI / 3), y + r / 2]])
+        case 'rectRot':
+            return polygon([[x, y - r], [x + r, y], [x, y + r], [x - r, y]])
+        case 'cross':
+            return lines([[x, y - r, x, y + r], [x - r, y, x + r, y]])
+        case 'crossRot':
+            return lines([[x - d, y - d, x + d, y + d], [x + d, y - d, x - d, y + d]])
+        case 'star':
+            return lines([[x, y - r, x, y + r], [x - r, y, x + r, y], [x - d, y - d, x + d, y + d], [x + d, y - d, x - d, y + d]])
+        default:
+            return `<circle cx="${fmt(x)}" cy="${fmt(y)}" r="${fmt(r)}" fill="${color}"/>`
+    }
+}
+
+/**
+ * Draws the chart once more on a detached canvas at a fixed size, with fully opaque traces
+ * (no hover fading) and no animation.
+ * @param {object} chartData - Chart.js data of the on-screen radar.
+ * @param {object} chartOptions - Chart.js options of the on-screen radar.
+ * @param {number} pixelRatio - Device pixel ratio to render at.
+ * @returns {Chart} - The chart; call destroy() when done.
+ */
+function renderOffscreenChart(chartData, chartOptions, pixelRatio) {
+    const canvas = document.createElement('canvas')
+    canvas.width = export_chart_width
+    canvas.height = export_chart_height
+    const data = {
+        labels: [...chartData.labels],
+        // Overlays (envelope, median) keep their own styling
+        datasets: chartData.datasets.map(ds => (ds.isOverlay ? { ...ds } : {
+            ...ds,
+            borderColor: getTraceColor(ds),
+            pointBackgroundColor: getTraceColor(ds),
+            backgroundColor: 'transparent',
+            fill: false,
+            borderWidth: 3,
+            pointRadius: hasMarkerShape(ds) ? 5 : 2,
+        })),
+    }
+    return new Chart(canvas, {
+        type: 'radar',
+        data,
+        options: {
+            ...chartOptions,
+            responsive: false,
+            animation: false,
+            devicePixelRatio: pixelRatio,
+            events: [],
+        },
+    })
+}
+
+/**
+ * Renders the export as a PNG at the given DPI: caption, radar with icons, legend.
+ * @param {object} chartData - Chart.js data.
+ * @param {object} chartOptions - Chart.js options.
+ * @param {string} caption - Caption text.
+ * @param {number} dpi - Output resolution (96 = screen size).
+ * @returns {Promise<Blob>}
+ */
+async function renderPng(chartData, chartOptions, caption, dpi) {
+    const pixelRatio = dpi / 96
+    const chart = renderOffscreenChart(chartData, chartOptions, pixelRatio)
+    try {
+        const legendItems = getLegendItems(chartData.datasets)
+        const legendTop = export_caption_height + export_chart_height
+        const height = legendTop + getLegendHeight(legendItems.length)
+
+        const canvas = document.createElement('canvas')
+        canvas.width = Math.round(export_chart_width * pixelRatio)
+        canvas.height = Math.round(height * pixelRatio)
+        const ctx = canvas.getContext('2d')
+        ctx.scale(pixelRatio, pixelRatio)
+
+        ctx.fillStyle = '#ffffff'
+        ctx.fillRect(0, 0, export_chart_width, height)
+
+        ctx.fillStyle = '#333333'
+        ctx.font = 'bold 20px sans-serif'
+        ctx.textAlign = 'center'
+        ctx.textBaseline = 'middle'
+        ctx.fillText(caption, export_chart_width / 2, export_caption_height / 2)
+
+        ctx.drawImage(chart.canvas, 0, export_caption_height, export_chart_width, export_chart_height)
+
+        ctx.font = '14px sans-serif'
+        ctx.textAlign = 'left'
+        legendItems.forEach((item, index) => {
+            const { x, y } = getLegendItemPosition(index)
+            ctx.save()
+            ctx.translate(0, legendTop)
+            ctx.strokeStyle = item.color
+            ctx.lineWidth = 3
+            ctx.setLineDash(item.dash)
+            ctx.beginPath()
+            ctx.moveTo(x, y)
+            ctx.lineTo(x + 28, y)
+            ctx.stroke()
+            ctx.setLineDash([])
+            if (item.pointStyle) {
+                ctx.fillStyle = item.color
+                drawPoint(ctx, { pointStyle: item.pointStyle, radius: 5, rotation: 0, borderWidth: 2 }, x + 14, y)
+            }
+            if (item.retrain) {
+                ctx.strokeStyle = retrain_outline_color
+                ctx.lineWidth = 2
+                ctx.strokeRect(x - 3, y - 7, 34, 14)
+            }
+            ctx.fillStyle = '#333333'
+            ctx.fillText(item.label, x + 38, y)
+            ctx.restore()
+        })
+
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(result => (result ? resolve(result) : reject(new Error('PNG encoding failed'))), 'image/png')
+        })
+        return setPngDpi(blob, dpi)
+    } finally {
+        chart.destroy()
+    }
+}
+
+/**
+ * Converts a loaded image to a data URL so the SVG is self-contained.
+ * @param {HTMLImageElement} img - Loaded image.
+ * @returns {string|null}
+ */
+function imageToDataUrl(img) {
+    try {
+        const canvas = document.createElement('canvas')
+        canvas.width = img.naturalWidth
+        canvas.height = img.naturalHeight
+        canvas.getContext('2d').drawImage(img, 0, 0)
+        return canvas.toDataURL('image/png')
+    } catch (error) {
+        console.error(`Failed to embed icon: ${error.message}`)
+        return null
+    }
+}
+
+/**
+ * Places an SVG icon inside the exported SVG as a nested <svg> element of the given box.
+ * @param {string} markup - SVG markup of the icon.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} size - Edge length of the icon box.
+ * @returns {string}
+ */
+function inlineSvgIcon(markup, x, y, size) {
+    const fmt = n => Number(n).toFixed(2)
+    const svg = markup.replace(/<\?xml[^>]*\?>/, '').replace(/<!DOCTYPE[^>]*>/i, '').trim()
+    return svg.replace(/^<svg\b([^>]*)>/, (match, attributes) => {
+        const kept = attributes.replace(/\s(x|y|width|height)="[^"]*"/g, '')
+        return `<svg${kept} x="${fmt(x)}" y="${fmt(y)}" width="${fmt(size)}" height="${fmt(size)}">`
+    })
+}
+
+/**
+ * Renders the export as a standalone vector SVG, using the geometry of an offscreen Chart.js radar.
+ * @param {object} chartData - Chart.js data.
+ * @param {object} chartOptions - Chart.js options.
+ * @param {string} caption - Caption text.
+ * @returns {string} - SVG document.
+ */
+function renderSvg(chartData, chartOptions, caption) {
+    const chart = renderOffscreenChart(chartData, chartOptions, 1)
+    try {
+        const r = chart.scales.r
+        const axisCount = chart.data.labels.length
+        const legendItems = getLegendItems(chartData.datasets)
+        const legendTop = export_caption_height + export_chart_height
+        const height = legendTop + getLegendHeight(legendItems.length)
+        const point = (index, value) => r.getPointPositionForValue(index, value)
+        const fmt = n => Number(n).toFixed(2)
+        const parts = []
+
+        parts.push(`<rect width="${export_chart_width}" height="${height}" fill="#ffffff"/>`)
+        parts.push(`<text x="${export_chart_width / 2}" y="${export_caption_height / 2}" text-anchor="middle" dominant-baseline="middle" font-size="20" font-weight="bold" fill="#333333">${escapeXml(caption)}</text>`)
+        parts.push(`<g transform="translate(0 ${export_caption_height})">`)
+
+        // Grid polygons and angle lines
+        r.ticks.filter(tick => tick.value > r.min).forEach(tick => {
+            const points = Array.from({ length: axisCount }, (_, i) => point(i, tick.value))
+            parts.push(`<polygon points="${points.map(p => `${fmt(p.x)},${fmt(p.y)}`).join(' ')}" fill="none" stroke="rgba(0,0,0,0.1)" stroke-width="1"/>`)
+        })
+        for (let i = 0; i < axisCount; i++) {
+            const outer = point(i, r.max)
+            parts.push(`<line x1="${fmt(r.xCenter)}" y1="${fmt(r.yCenter)}" x2="${fmt(outer.x)}" y2="${fmt(outer.y)}" stroke="rgba(0,0,0,0.1)" stroke-width="1"/>`)
+        }
+
+        // Tick labels (non-negative values only, as on screen)
+        r.ticks.filter(tick => tick.value >= 0).forEach(tick => {
+            const y = r.yCenter - r.getDistanceFromCenterForValue(tick.value)
+            parts.push(`<text x="${fmt(r.xCenter)}" y="${fmt(y)}" text-anchor="middle" dominant-baseline="middle" font-size="12" fill="#666666">${escapeXml(tick.value)}</text>`)
+        })
+
+        // Point labels, wrapped as on screen
+        const fontOption = chart.options.scales.r.pointLabels.font
+        const fontSize = typeof fontOption.size === 'function' ? fontOption.size({ chart }) : (fontOption.size || 12)
+        const lineHeight = fontSize * 1.2
+        r._pointLabelItems.forEach((item, i) => {
+            const lines = [].concat(r._pointLabels[i])
+            const anchor = { left: 'start', right: 'end' }[item.textAlign] || 'middle'
+            lines.forEach((line, k) => {
+                const y = item.top + lineHeight / 2 + k * lineHeight
+                parts.push(`<text x="${fmt(item.x)}" y="${fmt(y)}" text-anchor="${anchor}" dominant-baseline="middle" font-size="${fmt(fontSize)}" fill="#666666">${escapeXml(line)}</text>`)
+            })
+        })
+
+        // Traces: one closed path per dataset, broken at missing values unless spanGaps
+        const polygonOf = meta => meta.data.filter(element => !element.skip)
+            .map((element, i) => `${i === 0 ? 'M' : 'L'}${fmt(element.x)} ${fmt(element.y)}`).join(' ')
+        chart.data.datasets.forEach((ds, datasetIndex) => {
+            const meta = chart.getDatasetMeta(datasetIndex)
+            const color = ds.isOverlay ? ds.borderColor : getTraceColor(ds)
+            const width = ds.isOverlay ? ds.borderWidth : 3
+            // Envelope band: the ring between this bound and the previous dataset's
+            if (ds.fill === '-1' && datasetIndex > 0) {
+                const band = `${polygonOf(meta)} Z ${polygonOf(chart.getDatasetMeta(datasetIndex - 1))} Z`
+                parts.push(`<path d="${band}" fill="${ds.backgroundColor}" fill-rule="evenodd" stroke="none"/>`)
+            }
+            const dash = ds.borderDash?.length ? ` stroke-dasharray="${ds.borderDash.join(' ')}"` : ''
+            const points = meta.data.map(element => (element.skip ? null : { x: element.x, y: element.y }))
+            const hasGaps = points.some(p => p === null)
+            let d = ''
+            if (!hasGaps || ds.spanGaps) {
+                const present = points.filter(Boolean)
+                d = present.map((p, i) => `${i === 0 ? 'M' : 'L'}${fmt(p.x)} ${fmt(p.y)}`).join(' ') + (present.length ? ' Z' : '')
+            } else {
+                // Walk around the radar starting after a gap, so segments that wrap past the first axis stay whole
+                const start = points.findIndex(p => p === null)
+                let penDown = false
+                for (let k = 1; k <= points.length; k++) {
+                    const p = points[(start + k) % points.length]
+                    if (!p) {
+                        penDown = false
+                        continue
+                    }
+                    d += `${penDown ? 'L' : 'M'}${fmt(p.x)} ${fmt(p.y)} `
+                    penDown = true
+                }
+            }
+            parts.push(`<path d="${d.trim()}" fill="none" stroke="${color}" stroke-width="${width}" stroke-linejoin="round"${dash}><title>${escapeXml(ds.label)}</title></path>`)
+            if (ds.isOverlay) return
+            points.filter(Boolean).forEach(p => {
+                parts.push(svgMarker(ds.pointStyle, p.x, p.y, hasMarkerShape(ds) ? 5 : 2, color))
+            })
+        })
+
+        // Missing-value markers
+        computeMissingMarkers(chart).forEach(({ x, y, size, color }) => {
+            parts.push(`<path d="M${fmt(x - size)} ${fmt(y - size)} L${fmt(x + size)} ${fmt(y + size)} M${fmt(x + size)} ${fmt(y - size)} L${fmt(x - size)} ${fmt(y + size)}" stroke="${color}" stroke-width="2"/>`)
+        })
+
+        // Metric icons
+        const { padding, imageSize } = getDefaultIconMetrics(chart.width)
+        computeIconLayout(chart, padding, imageSize).forEach(({ icon, imageX, imageY }) => {
+            if (!icon) return
+            // Vector icons (SVG icons, badges) are inlined; PNG icons are embedded as data URLs
+            if (icon.markup) {
+                parts.push(inlineSvgIcon(icon.markup, imageX, imageY, imageSize))
+                return
+            }
+            const href = imageToDataUrl(icon.img)
+            if (href) {
+                parts.push(`<image href="${href}" x="${fmt(imageX)}" y="${fmt(imageY)}" width="${fmt(imageSize)}" height="${fmt(imageSize)}"/>`)
+            }
+        })
+        parts.push('</g>')
+
+        // Legend
+        parts.push(`<g transform="translate(0 ${legendTop})" font-size="14" fill="#333333">`)
+        legendItems.forEach((item, index) => {
+            const { x, y } = getLegendItemPosition(index)
+            const dash = item.dash.length ? ` stroke-dasharray="${item.dash.join(' ')}"` : ''
+            if (item.retrain) {
+                parts.push(`<rect x="${x - 3}" y="${y - 7}" width="34" height="14" fill="none" stroke="${retrain_outline_color}" stroke-width="2"/>`)
+            }
+            parts.push(`<line x1="${x}" y1="${y}" x2="${x + 28}" y2="${y}" stroke="${item.color}" stroke-width="3"${dash}/>`)
+            if (item.pointStyle) parts.push(svgMarker(item.pointStyle, x + 14, y, 5, item.color))
+            parts.push(`<text x="${x + 38}" y="${y}" dominant-baseline="middle">${escapeXml(item.label)}</text>`)
+        })
+        parts.push('</g>')
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${export_chart_width}" height="${height}" viewBox="0 0 ${export_chart_width} ${height}" font-family="sans-serif">`,
+            ...parts,
+            '</svg>',
+        ].join('\n')
+    } finally {
+        chart.destroy()
+    }
+}
+
+/**
+ * Exports the current radar as PNG (at a chosen DPI) or SVG, with an auto-generated legend
+ * and a caption naming the kit and modification.
+ * @param {() => { data: object, options: object }} getChart - Returns the chart to export.
+ * @param {() => { kit: string, modification: string }} getContext - Returns the caption context.
+ */
+export function useChartExport(getChart, getContext) {
+    const exportDpi = ref(300)
+    const isExporting = ref(false)
+    const exportError = ref(null)
+
+    function getCaption() {
+        const { kit, modification } = getContext()
+        return `NaRMBench · ${modification} · ${kit}`
+    }
+
+    function getBaseFileName() {
+        const { kit, modification } = getContext()
+        return `NaRMBench_${modification}_${kit}`.replace(/[^\w.-]+/g, '_')
+    }
+
+    async function runExport(task) {
+        const { data } = getChart()
+        if (!data?.datasets?.length) {
+            exportError.value = 'Select at least one tool to export.'
+            return
+        }
+        exportError.value = null
+        isExporting.value = true
+        try {
+            await task()
+        } catch (error) {
+            console.error(error)
+            exportError.value = `Export failed: ${error.message}`
+        } finally {
+            isExporting.value = false
+        }
+    }
+
+    function exportPng() {
+        return runExport(async () => {
+            const { data, options } = getChart()
+            const blob = await renderPng(data, options, getCaption(), exportDpi.value)
+            downloadBlob(blob, `${getBaseFileName()}_${exportDpi.value}dpi.png`)
+        })
+    }
+
+    function exportSvg() {
+        return runExport(async () => {
+            const { data, options } = getChart()
+            const svg = renderSvg(data, options, getCaption())
+            downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${getBaseFileName()}.svg`)
+        })
+    }
+
+    return {
+        exportDpi,
+        isExporting,
+        exportError,
+        exportPng,
+        exportSvg,
+    }
+}
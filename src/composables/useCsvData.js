@@ -1,125 +1,416 @@
-import { ref, computed, watch } from 'vue'
+import { ref, reactive, computed, watch } from 'vue'
 import { preferredCsvOrder } from '../utils/chartConfig'
-import { getStoredWithExpiry, setStoredWithExpiry } from '../utils/storage'
+import { getPreference, setPreference, collectStalePreferences } from '../utils/storage'
+import { parseCsv, trimTrailingEmpty } from '../utils/csvParser'
+import { hasIcon } from '../utils/icons'
+import { loadUploadedDatasets, saveUploadedDataset, deleteUploadedDataset } from '../utils/datasetStore'
+import { getModificationFromFileName, getDatasetMetadata, splitMetadataBlock, compareReleases, dataset_dimensions } from '../utils/datasetNames'
+import datasetManifest from 'virtual:dataset-manifest'
+
+// Metadata (see dataset_dimensions) of every known dataset, by file name: bundled ones from the manifest,
+// uploads once they are registered
+const dataset_metadata = reactive({})
+datasetManifest.forEach(entry => {
+    dataset_metadata[entry.file] = Object.fromEntries(dataset_dimensions.map(({ key }) => [key, entry[key] ?? null]))
+})
+
+/**
+ * Metadata of a dataset; datasets not registered yet are described from their file name.
+ * @param {string} fileName - Dataset file name.
+ * @returns {{ modification: string, kit: string, sample: string|null, groundTruth: string|null, release: string|null }}
+ */
+export function getDatasetInfo(fileName) {
+    return dataset_metadata[fileName] || getDatasetMetadata(fileName)
+}
+
+/**
+ * Modification of a dataset (e.g. 'm6A').
+ * @param {string} fileName - Dataset file name.
+ * @returns {string}
+ */
+export function getModification(fileName) {
+    return dataset_metadata[fileName]?.modification ?? getModificationFromFileName(fileName)
+}
+
+/**
+ * Short label of a dataset: its modification, followed by the sample, ground truth and release when declared
+ * (e.g. 'm6A · HEK293T · GLORI'). The kit is left out; callers show it where it matters.
+ * @param {string} fileName - Dataset file name.
+ * @returns {string}
+ */
+export function getDatasetLabel(fileName) {
+    const info = getDatasetInfo(fileName)
+    return dataset_dimensions
+        .filter(({ key }) => key !== 'kit')
+        .map(({ key }) => info[key])
+        .filter(Boolean)
+        .join(' · ')
+}
+
+/**
+ * Whether two datasets describe the same benchmark except for one dimension: every other dimension matches
+ * (e.g. the same modification with another kit, or the same dataset in another release).
+ * @param {string} fileName - Dataset file name.
+ * @param {string} otherFileName - Dataset file name.
+ * @param {string} [dimension='kit'] - The dimension allowed to differ.
+ * @returns {boolean}
+ */
+export function isCounterpart(fileName, otherFileName, dimension = 'kit') {
+    const info = getDatasetInfo(fileName)
+    const other = getDatasetInfo(otherFileName)
+    return dataset_dimensions.every(({ key }) => key === dimension || info[key] === other[key])
+}
+
+/**
+ * Parses a single metric cell. 'NA' (or an empty cell) means the tool was not evaluated on
+ * that metric and is returned as null, so it is never confused with a real score of 0.
+ * @param {string} val - Raw cell content.
+ * @returns {number|null} - Numeric value, null if missing, NaN if not a number.
+ */
+function parseMetricValue(val) {
+    const trimmed = val.trim()
+    if (trimmed === '' || trimmed.toUpperCase() === 'NA') return null
+    return Number(trimmed)
+}
+
+/**
+ * Normalises a raw metric value against its per-metric bounds.
+ * `max` is the value drawn on the outer ring and `min` the value drawn at 0, so a
+ * lower-is-better metric (e.g. runtime in seconds) is declared with Max < Min.
+ * @param {number|null} value - Raw metric value.
+ * @param {number} min - Value mapped to 0.
+ * @param {number} max - Value mapped to 1.
+ * @returns {number|null} - Normalised value, or null if missing.
+ */
+function normaliseValue(value, min, max) {
+    if (value === null || Number.isNaN(value)) return value
+    if (max === min) return value === max ? 1 : 0
+    return (value - min) / (max - min)
+}
+
+/**
+ * Creates an empty validation report.
+ * @returns {object} - `{ fatal, skippedRows, nonNumericCells, duplicateTools, outOfRange, missingIcons }`.
+ */
+function createReport() {
+    return {
+        fatal: null, // Message if the file could not be used at all
+        skippedRows: [], // { line, reason }
+        nonNumericCells: [], // { line, tool, label, value }
+        duplicateTools: [], // { line, tool, firstLine }
+        outOfRange: [], // { line, tool, label, value, min, max }
+        missingIcons: [], // header labels without an icon in src/assets/icons
+    }
+}
+
+/**
+ * Whether a validation report contains any finding.
+ * @param {object} report - Report from `csvToJson`.
+ * @returns {boolean}
+ */
+export function hasReportIssues(report) {
+    if (!report) return false
+    return Boolean(report.fatal) || ['skippedRows', 'nonNumericCells', 'duplicateTools', 'outOfRange', 'missingIcons']
+        .some(key => report[key].length > 0)
+}
 
 /**
  * Parses a CSV string into a structured JSON object.
+ * The rows named exactly `Max` and `Min` are read as per-metric bounds (defaulting to 1 and 0)
+ * rather than as tools; all tool values are normalised against them.
  * @param {string} csv - CSV file content.
- * @returns {object|null} - Parsed data object or null if an error occurs.
+ * @returns {object} - `{ labels, data, sortData, rawData, bounds, report }`.
+ *   `data`/`sortData` hold normalised values, `rawData` the values as written in the file and
+ *   `report` the validation findings. If the file is unusable, `report.fatal` is set and the
+ *   data fields are empty.
  */
 function csvToJson(csv) {
+    const report = createReport()
     try {
-        const lines = csv.trim().split('\n')
-        if (lines.length < 2) throw new Error('CSV file is empty or invalid')
+        const records = parseCsv(splitMetadataBlock(csv).body)
+        if (records.length < 2) throw new Error('CSV file is empty or invalid')
 
-        const labels = lines[0].split(',').slice(1).map(label => label.trim())
+        const labels = trimTrailingEmpty(records[0].fields.slice(1)).map(label => label.trim())
         if (!labels.length) throw new Error('No label row found in CSV')
+        report.missingIcons = labels.filter(label => !hasIcon(label))
 
-        const modelData = {}
-        const sortData = {} // Data for sorting, 'NA' values are treated as 0
+        const rawData = {}
+        const rowLines = {}
+        const bounds = {
+            max: labels.map(() => 1),
+            min: labels.map(() => 0),
+        }
 
-        for (let i = 1; i < lines.length; i++) {
-            const cols = lines[i].split(',')
-            // Error tolerance: skip the line if the number of columns doesn't match
-            if (cols.length !== labels.length + 1) continue
+        for (const { fields, line } of records.slice(1)) {
+            const cols = trimTrailingEmpty(fields, labels.length + 1)
+            // Error tolerance: skip the line if the number of columns doesn't match, but report it
+            if (cols.length !== labels.length + 1) {
+                report.skippedRows.push({ line, reason: `expected ${labels.length + 1} columns, found ${cols.length}` })
+                continue
+            }
 
             const modelName = cols[0].trim()
-            // const values = cols.slice(1).map(val => Number(val)) // 'NA' --> NaN
-            const values = cols.slice(1).map(val => (val.trim().toUpperCase() === 'NA' ? 0 : Number(val))) // 'NA' --> 0
-            const sortValues = cols.slice(1).map(val => (val.trim().toUpperCase() === 'NA' ? 0 : Number(val))) // 'NA' --> 0
+            if (!modelName) {
+                report.skippedRows.push({ line, reason: 'missing tool name' })
+                continue
+            }
 
-            modelData[modelName] = values
-            sortData[modelName] = sortValues
+            const values = cols.slice(1).map((val, j) => {
+                const parsed = parseMetricValue(val) // 'NA' --> null
+                if (Number.isNaN(parsed)) {
+                    report.nonNumericCells.push({ line, tool: modelName, label: labels[j], value: val })
+                    return null // Unreadable cells are treated as missing
+                }
+                return parsed
+            })
+
+            if (modelName === 'Max' || modelName === 'Min') {
+                const key = modelName.toLowerCase()
+                values.forEach((val, j) => {
+                    if (val !== null) bounds[key][j] = val
+                })
+                continue
+            }
+            if (rawData[modelName]) {
+                report.duplicateTools.push({ line, tool: modelName, firstLine: rowLines[modelName] })
+                continue
+            }
+            rawData[modelName] = values
+            rowLines[modelName] = line
         }
-        console.log('csvToJson result:', { labels, data: modelData, sortData })
-        return { labels, data: modelData, sortData }
+
+        const modelData = {}
+        const sortData = {} // Data for sorting, 'NA' values are kept as null (missing, not zero)
+        Object.entries(rawData).forEach(([modelName, values]) => {
+            values.forEach((val, j) => {
+                const low = Math.min(bounds.min[j], bounds.max[j])
+                const high = Math.max(bounds.min[j], bounds.max[j])
+                if (val !== null && (val < low || val > high)) {
+                    report.outOfRange.push({ line: rowLines[modelName], tool: modelName, label: labels[j], value: val, min: bounds.min[j], max: bounds.max[j] })
+                }
+            })
+            const normalised = values.map((val, j) => normaliseValue(val, bounds.min[j], bounds.max[j]))
+            modelData[modelName] = normalised
+            sortData[modelName] = [...normalised]
+        })
+
+        console.log('csvToJson result:', { labels, data: modelData, sortData, rawData, bounds, report })
+        return { labels, data: modelData, sortData, rawData, bounds, report }
     } catch (error) {
         console.error(`CSV parsing error: ${error.message}`)
-        return null
+        report.fatal = error.message
+        return { labels: [], data: {}, sortData: {}, rawData: {}, bounds: { max: [], min: [] }, report }
     }
 }
 
 /**
- * Extracts the kit version from a CSV file name.
- * @param {string} fileName - CSV filename
- * @returns {string} - Kit name (e.g., 'SQK-RNA002') or 'No Kit'
+ * Sorts CSV file names by preferredCsvOrder, then alphabetically if not specified; releases of the same file newest first.
+ * @param {string[]} files - CSV paths relative to src/data (or upload names).
+ * @returns {string[]} - Sorted copy.
  */
-function getKitFromFileName(fileName) {
-    const match = fileName.match(/_(\d{3})\.csv$/)
-    if (match) {
-        return `SQK-RNA${match[1]}`
-    }
-    return 'No Kit'
+export function sortCsvFiles(files) {
+    return [...files].sort((a, b) => {
+        const nameA = a.split('/').pop()
+        const nameB = b.split('/').pop()
+        const indexA = preferredCsvOrder.indexOf(nameA)
+        const indexB = preferredCsvOrder.indexOf(nameB)
+        if (indexA === indexB) {
+            // The same file name in different releases is listed newest release first, so the current one is the default
+            return (indexA === -1 && nameA.localeCompare(nameB))
+                || compareReleases(getDatasetInfo(b).release, getDatasetInfo(a).release)
+                || a.localeCompare(b)
+        }
+        if (indexA === -1) return 1
+        if (indexB === -1) return -1
+        return indexA - indexB
+    })
+}
+
+/**
+ * Sorts kit names alphabetically, with 'No Kit' last.
+ * @param {string[]} kitNames - Kit names.
+ * @returns {string[]} - Sorted kit names.
+ */
+function sortKits(kitNames) {
+    return [...kitNames].sort((a, b) => {
+        if (a === 'No Kit') return 1
+        if (b === 'No Kit') return -1
+        return a.localeCompare(b)
+    })
 }
 
 
+// Loaders of the bundled datasets by path relative to src/data ('m6A_002.csv', 'v1/m6A_002.csv' for a release
+// subfolder); each CSV becomes its own chunk, fetched on first use
+const csv_loaders = Object.fromEntries(
+    Object.entries(import.meta.glob('../data/**/*.csv', { query: '?raw', import: 'default' }))
+        .map(([path, load]) => [path.slice('../data/'.length), load])
+)
+
 /**
  * A composable function for handling CSV data loading, kit classification, and state management.
+ * Bundled datasets are listed by the build-time manifest (see plugins/datasetManifest.js) and only
+ * fetched and parsed when first needed; results are cached in `csvDataCache`.
+ * Besides the CSVs bundled from `src/data`, users can upload CSVs of the same shape at runtime;
+ * those are persisted in IndexedDB and restored on the next visit.
+ * @param {{ kit?: string, csv?: string }} [initialState] - Selection to start from (e.g. from a shared link);
+ *   takes precedence over the stored selection.
  */
-export function useCsvData() {
-    const errorMessage = ref(null)
-    const csvDataCache = ref({}) // Cache all parsed CSV data
+export function useCsvData(initialState = {}) {
+    const initError = ref(null)
+    const csvDataCache = ref({}) // Cache of the parsed datasets loaded so far
+    const datasetStatus = ref({}) // Per dataset: 'loading' | 'loaded' | 'error'
+    const datasetErrors = ref({}) // Per dataset: message of the last failed load
+    const pendingLoads = new Map() // In-flight loads, so a dataset is fetched once
     const csvFiles = ref([])
     const selectedCsv = ref(null)
-    const isLoading = ref(true)
     const selectedKit = ref(null)
     const kits = ref([])
     const kitFiles = ref({})
+    const uploadedFiles = ref([]) // File names of user-uploaded datasets
+    const uploadError = ref(null)
 
-    // Vite's import.meta.glob dynamically loads all .csv files in the src/data/ directory
-    const modules = import.meta.glob('../data/*.csv', { query: '?raw', import: 'default', eager: true })
+    /**
+     * Files a dataset under a kit and refreshes the kit list.
+     * @param {string} fileName - Dataset file name (unique key).
+     * @param {string} kit - Kit to classify the dataset under.
+     */
+    function classifyDataset(fileName, kit) {
+        if (!kitFiles.value[kit]) {
+            kitFiles.value[kit] = []
+        }
+        if (!kitFiles.value[kit].includes(fileName)) {
+            kitFiles.value[kit].push(fileName)
+        }
+        kits.value = sortKits(Object.keys(kitFiles.value))
+    }
 
-    try {
-        const availableFiles = Object.keys(modules).map(path => path.split('/').pop())
+    /**
+     * Adds an already parsed dataset (an upload), described by the header block of its CSV.
+     * @param {string} fileName - Dataset file name (unique key).
+     * @param {string} content - CSV file content.
+     * @param {string} kit - Kit to classify the dataset under; 'auto' takes it from the header block or the file name.
+     * @param {object} parsed - Result of `csvToJson`.
+     * @returns {string} - The kit the dataset was filed under.
+     */
+    function registerDataset(fileName, content, kit, parsed) {
+        const declared = splitMetadataBlock(content).metadata
+        dataset_metadata[fileName] = getDatasetMetadata(fileName, kit === 'auto' ? declared : { ...declared, kit })
+        csvDataCache.value[fileName] = parsed
+        datasetStatus.value[fileName] = 'loaded'
+        classifyDataset(fileName, dataset_metadata[fileName].kit)
+        return dataset_metadata[fileName].kit
+    }
 
-        if (availableFiles.length === 0) {
-            throw new Error('No CSV files found in the `src/data` directory.')
+    /**
+     * Removes a dataset from the cache and the kit classification.
+     * @param {string} fileName - Dataset file name.
+     */
+    function unregisterDataset(fileName) {
+        delete csvDataCache.value[fileName]
+        delete dataset_metadata[fileName]
+        delete datasetStatus.value[fileName]
+        delete datasetErrors.value[fileName]
+        Object.keys(kitFiles.value).forEach(kit => {
+            kitFiles.value[kit] = kitFiles.value[kit].filter(file => file !== fileName)
+            if (!kitFiles.value[kit].length) delete kitFiles.value[kit]
+        })
+        kits.value = sortKits(Object.keys(kitFiles.value))
+        if (!kits.value.includes(selectedKit.value)) {
+            selectedKit.value = kits.value[0] || 'No Kit'
         }
+    }
 
-        // Classify CSV files by kit
-        const kitMap = {}
-        availableFiles.forEach(file => {
-            const kit = getKitFromFileName(file)
-            if (!kitMap[kit]) {
-                kitMap[kit] = []
-            }
-            kitMap[kit].push(file)
-        })
+    /**
+     * Whether a dataset name is already taken by a bundled or uploaded dataset.
+     * @param {string} fileName
+     * @returns {boolean}
+     */
+    function isKnownDataset(fileName) {
+        return Boolean(csvDataCache.value[fileName] || csv_loaders[fileName])
+    }
 
-        // Sort kits and CSV files
-        kits.value = Object.keys(kitMap).sort((a, b) => {
-            if (a === 'No Kit') return 1
-            if (b === 'No Kit') return -1
-            return a.localeCompare(b)
-        })
+    /**
+     * Fetches and parses a bundled dataset, once; later calls reuse the cached result.
+     * A failed load is recorded in `datasetStatus`/`datasetErrors` and can be retried by calling again.
+     * @param {string} fileName - Dataset file name.
+     * @returns {Promise<object|null>} - The parsed dataset, or null if it could not be loaded.
+     */
+    function loadDataset(fileName) {
+        if (csvDataCache.value[fileName]) return Promise.resolve(csvDataCache.value[fileName])
+        if (pendingLoads.has(fileName)) return pendingLoads.get(fileName)
+        const loader = csv_loaders[fileName]
+        if (!loader) {
+            datasetStatus.value[fileName] = 'error'
+            datasetErrors.value[fileName] = 'no such dataset'
+            return Promise.resolve(null)
+        }
 
-        kitFiles.value = kitMap
+        datasetStatus.value[fileName] = 'loading'
+        delete datasetErrors.value[fileName]
+        const promise = loader()
+            .then(content => {
+                if (typeof content !== 'string') throw new Error('empty response')
+                csvDataCache.value[fileName] = csvToJson(content)
+                datasetStatus.value[fileName] = 'loaded'
+                return csvDataCache.value[fileName]
+            })
+            .catch(error => {
+                datasetStatus.value[fileName] = 'error'
+                datasetErrors.value[fileName] = error.message
+                console.error(`Failed to load ${fileName}`, error)
+                return null
+            })
+            .finally(() => pendingLoads.delete(fileName))
+        pendingLoads.set(fileName, promise)
+        return promise
+    }
+
+    /**
+     * Loads several datasets in parallel.
+     * @param {string[]} fileNames
+     * @returns {Promise<(object|null)[]>}
+     */
+    function loadDatasets(fileNames) {
+        return Promise.all(fileNames.map(loadDataset))
+    }
+
+    // Selection stored by a previous visit (or given by a shared link). It may name an uploaded dataset, which
+    // is only known once IndexedDB has been read: the selection is not saved back before then (see restoreSelection)
+    const pendingSelection = {
+        kit: initialState.kit || getPreference('selectedKit'),
+        csv: initialState.csv || getPreference('selectedCsv'),
+    }
+    const uploadsRestored = ref(false)
+
+    try {
+        if (datasetManifest.length === 0) {
+            throw new Error('No CSV files found in the `src/data` directory.')
+        }
+
+        // Classify the bundled datasets by kit from the manifest, without loading them
+        datasetManifest.forEach(({ file, kit }) => classifyDataset(file, kit))
 
         // Default selected kit
         // selectedKit.value = kits.value[0] || 'No Kit'
         // 从 localStorage 恢复 selectedKit
-        const savedKit = getStoredWithExpiry('selectedKit')
+        const savedKit = pendingSelection.kit
         selectedKit.value = kits.value.includes(savedKit) ? savedKit : kits.value[0] || 'No Kit'
 
 
 
         // Filter CSV files; sort by preferredCsvOrder, then alphabetically if not specified
-        const filteredCsvFiles = computed(() => {
-            const files = kitFiles.value[selectedKit.value] || []
-            return files.sort((a, b) => {
-            const indexA = preferredCsvOrder.indexOf(a)
-            const indexB = preferredCsvOrder.indexOf(b)
-            if (indexA === -1 && indexB === -1) return a.localeCompare(b)
-            if (indexA === -1) return 1
-            if (indexB === -1) return -1
-            return indexA - indexB
-        })
-        })
+        const filteredCsvFiles = computed(() => sortCsvFiles(kitFiles.value[selectedKit.value] || []))
 
         // Update csvFiles when selectedKit changes
         watch(filteredCsvFiles, (newFiles) => {
             csvFiles.value = newFiles
-            const savedCsv = getStoredWithExpiry('selectedCsv')
+            if (pendingSelection.csv && newFiles.includes(pendingSelection.csv)) {
+                selectedCsv.value = pendingSelection.csv
+                return
+            }
+            if (newFiles.includes(selectedCsv.value)) return
+            const savedCsv = getPreference('selectedCsv')
             if (newFiles.length > 0) {
                 selectedCsv.value = newFiles.includes(savedCsv) ? savedCsv : newFiles[0]
             } else {
@@ -127,30 +418,143 @@ export function useCsvData() {
             }
         }, { immediate: true })
 
-        // Save selectedKit and selectedCsv to localStorage (1 hour expiry)
+        // Save selectedKit and selectedCsv to localStorage
         watch(selectedKit, (newKit) => {
-            setStoredWithExpiry('selectedKit', newKit)
+            if (uploadsRestored.value) setPreference('selectedKit', newKit)
         })
 
+        // Load the selected dataset on demand
         watch(selectedCsv, (newCsv) => {
             if (newCsv) {
-                setStoredWithExpiry('selectedCsv', newCsv)
+                if (uploadsRestored.value) setPreference('selectedCsv', newCsv)
+                loadDataset(newCsv)
             }
+        }, { immediate: true })
+    } catch (error) {
+        initError.value = `Initialization failed: ${error.message}`
+        console.error(error)
+    }
+
+    // Loading while the selected dataset is being fetched (or about to be)
+    const isLoading = computed(() => {
+        if (initError.value || !selectedCsv.value) return false
+        return !csvDataCache.value[selectedCsv.value] && datasetStatus.value[selectedCsv.value] !== 'error'
+    })
+
+    // Initialization error, or the load error of the selected dataset
+    const errorMessage = computed(() => {
+        if (initError.value) return initError.value
+        const fileName = selectedCsv.value
+        if (fileName && datasetStatus.value[fileName] === 'error') {
+            return `Failed to load ${fileName}: ${datasetErrors.value[fileName]}`
+        }
+        return null
+    })
+
+    // Restore datasets uploaded in previous visits; once every dataset is known,
+    // drop the stored preferences of datasets that no longer exist. When the uploads cannot be read,
+    // their preferences and the stored selection are kept for the next visit.
+    loadUploadedDatasets()
+        .then(records => {
+            records.forEach(({ fileName, kit, content }) => {
+                const parsed = csvToJson(content)
+                if (parsed.report.fatal || isKnownDataset(fileName)) return
+                registerDataset(fileName, content, kit, parsed)
+                uploadedFiles.value.push(fileName)
+            })
+            collectStalePreferences(kitFiles.value, getModification)
+            restoreSelection(true)
+        })
+        .catch(error => {
+            console.error(`Failed to load uploaded datasets: ${error.message}`)
+            restoreSelection(false)
         })
 
-        // 加载 CSV 数据
-        for (const path in modules) {
-            const fileName = path.split('/').pop()
-            const content = modules[path]
-            if (content) {
-                csvDataCache.value[fileName] = csvToJson(content)
+    const startupCsv = selectedCsv.value
+
+    /**
+     * Selects the stored dataset once the uploads are known, unless the user already picked another one,
+     * then starts saving the selection.
+     * @param {boolean} uploadsLoaded - Whether the uploads were read; if not, the stored selection is only
+     *   replaced when the user picks another dataset.
+     */
+    function restoreSelection(uploadsLoaded) {
+        const { kit, csv } = pendingSelection
+        pendingSelection.csv = null
+        if (selectedCsv.value === startupCsv) {
+            const csvKit = csv && Object.keys(kitFiles.value).find(name => kitFiles.value[name].includes(csv))
+            if (csvKit) {
+                selectedKit.value = csvKit
+                selectedCsv.value = csv
+            } else if (kits.value.includes(kit)) {
+                selectedKit.value = kit
             }
         }
-    } catch (error) {
-        errorMessage.value = `Initialization failed: ${error.message}`
-        console.error(error)
-    } finally {
-        isLoading.value = false
+        uploadsRestored.value = true
+        if (!uploadsLoaded) return
+        setPreference('selectedKit', selectedKit.value)
+        if (selectedCsv.value) setPreference('selectedCsv', selectedCsv.value)
+    }
+
+    /**
+     * Parses user-supplied CSV files, adds them next to the bundled datasets and persists them.
+     * @param {FileList|File[]} files - Files from a file picker or a drop event.
+     * @param {string} [kit='auto'] - Kit to file them under; 'auto' takes it from the CSV header block or the file name.
+     * @returns {Promise<void>}
+     */
+    async function addUploadedFiles(files, kit = 'auto') {
+        uploadError.value = null
+        const errors = []
+        for (const file of Array.from(files)) {
+            const fileName = file.name
+            if (!fileName.toLowerCase().endsWith('.csv')) {
+                errors.push(`${fileName}: only .csv files are supported`)
+                continue
+            }
+            if (isKnownDataset(fileName)) {
+                errors.push(`${fileName}: a dataset with this name already exists, remove it or rename the file`)
+                continue
+            }
+            let content
+            try {
+                content = await file.text()
+            } catch (error) {
+                errors.push(`${fileName}: could not be read (${error.message})`)
+                continue
+            }
+            const parsed = csvToJson(content)
+            if (parsed.report.fatal) {
+                errors.push(`${fileName}: could not be parsed as a benchmark CSV (${parsed.report.fatal})`)
+                continue
+            }
+            const datasetKit = registerDataset(fileName, content, kit, parsed)
+            uploadedFiles.value.push(fileName)
+            selectedKit.value = datasetKit
+            selectedCsv.value = fileName
+            try {
+                await saveUploadedDataset({ fileName, kit: datasetKit, content, uploadedAt: Date.now() })
+            } catch (error) {
+                errors.push(`${fileName}: loaded, but could not be saved in the browser (${error.message})`)
+            }
+        }
+        if (errors.length) uploadError.value = errors.join('\n')
+    }
+
+    /**
+     * Removes a user-uploaded dataset from the page and from browser storage.
+     * @param {string} fileName - Dataset file name.
+     * @returns {Promise<void>}
+     */
+    async function removeUploadedFile(fileName) {
+        if (!uploadedFiles.value.includes(fileName)) return
+        uploadedFiles.value = uploadedFiles.value.filter(file => file !== fileName)
+        unregisterDataset(fileName)
+        collectStalePreferences(kitFiles.value, getModification)
+        try {
+            await deleteUploadedDataset(fileName)
+        } catch (error) {
+            uploadError.value = `${fileName}: could not be removed from browser storage (${error.message})`
+        }
     }
 
     // Computed property, returns the parsed data of the currently selected CSV
@@ -169,5 +573,15 @@ export function useCsvData() {
         currentCsvData,
         selectedKit,
         kits,
+        kitFiles,
+        csvDataCache,
+        datasetManifest,
+        datasetStatus,
+        loadDataset,
+        loadDatasets,
+        uploadedFiles,
+        uploadError,
+        addUploadedFiles,
+        removeUploadedFile,
     }
 }
@@ -0,0 +1,150 @@
+import { ref } from 'vue'
+import { downloadBlob } from './useChartExport'
+
+const export_formats = {
+    csv: { delimiter: ',', mimeType: 'text/csv' },
+    tsv: { delimiter: '\t', mimeType: 'text/tab-separated-values' },
+    json: { mimeType: 'application/json' },
+}
+
+/**
+ * Collects the rows behind the current view: selected tools in ranking order, visible metrics in axis order.
+ * @param {object} context - See `useDataExport`.
+ * @param {'normalised'|'raw'} valueMode - Export the plotted (normalised) values or the values as written in the file.
+ * @returns {{ metrics: string[], rows: { tool: string, rank: number, score: number|null, values: (number|null)[] }[] }}
+ */
+export function buildExportRows(context, valueMode) {
+    const { csvData, axisLabels, selectedModels, modelNames, modelScores } = context
+    if (!csvData) return { metrics: [], rows: [] }
+    const metrics = (axisLabels?.length ? axisLabels : csvData.labels).filter(label => csvData.labels.includes(label))
+    const indices = metrics.map(label => csvData.labels.indexOf(label))
+    const source = valueMode === 'raw' ? csvData.rawData : csvData.data
+    const rows = modelNames
+        .map((tool, i) => ({ tool, rank: i + 1 }))
+        .filter(({ tool }) => selectedModels.includes(tool))
+        .map(({ tool, rank }) => ({
+            tool,
+            rank,
+            score: modelScores[tool] ?? null,
+            values: indices.map(j => {
+                const value = source?.[tool]?.[j]
+                return value === null || value === undefined || Number.isNaN(value) ? null : value
+            }),
+        }))
+    return { metrics, rows }
+}
+
+/**
+ * Quotes a field for CSV when needed (RFC 4180); TSV fields only lose tabs and line breaks.
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function formatField(text, delimiter) {
+    if (delimiter === '\t') return text.replace(/[\t\r\n]+/g, ' ')
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Formats export rows as CSV or TSV; missing values are written as NA like in the source files.
+ * @param {{ metrics: string[], rows: object[] }} table - From `buildExportRows`.
+ * @param {string} delimiter - ',' or '\t'.
+ * @returns {string}
+ */
+export function formatDelimited({ metrics, rows }, delimiter) {
+    const header = ['Tool', 'Rank', 'Score', ...metrics]
+    const lines = [header, ...rows.map(row => [
+        row.tool,
+        String(row.rank),
+        row.score === null ? 'NA' : String(row.score),
+        ...row.values.map(value => (value === null ? 'NA' : String(value))),
+    ])]
+    return lines.map(fields => fields.map(field => formatField(field, delimiter)).join(delimiter)).join('\r\n') + '\r\n'
+}
+
+/**
+ * Builds the JSON export: a provenance header followed by one record per tool.
+ * @param {object} context - See `useDataExport`.
+ * @param {'normalised'|'raw'} valueMode
+ * @param {Date} [exportedAt]
+ * @returns {object}
+ */
+export function buildJsonExport(context, valueMode, exportedAt = new Date()) {
+    const { csvData, selectedCsv, selectedKit, modification, dataset, rankingPreset, isCustomRanking, getMetricWeight } = context
+    const { metrics, rows } = buildExportRows(context, valueMode)
+    const report = csvData?.report
+    return {
+        metadata: {
+            sourceFile: selectedCsv,
+            kit: selectedKit,
+            modification,
+            sample: dataset?.sample ?? null,
+            groundTruth: dataset?.groundTruth ?? null,
+            release: dataset?.release ?? null,
+            exportedAt: exportedAt.toISOString(),
+            values: valueMode,
+            normalisation: {
+                applied: valueMode === 'normalised',
+                rule: '(value - Min) / (Max - Min) per metric, using the Max and Min rows of the source file',
+                bounds: Object.fromEntries(metrics.map(label => {
+                    const j = csvData.labels.indexOf(label)
+                    return [label, { min: csvData.bounds.min[j], max: csvData.bounds.max[j] }]
+                })),
+            },
+            missingValues: {
+                applied: true,
+                rule: 'NA or empty cells, and cells that are not numbers, are exported as null',
+                nonNumericCells: report?.nonNumericCells?.length || 0,
+            },
+            ranking: {
+                preset: rankingPreset,
+                custom: isCustomRanking,
+                rule: 'Weighted mean of the available normalised metrics (all metrics of the file, including hidden axes)',
+                weights: Object.fromEntries((csvData?.labels || []).map(label => [label, getMetricWeight(label)])),
+            },
+            metrics,
+        },
+        tools: rows.map(row => ({
+            tool: row.tool,
+            rank: row.rank,
+            score: row.score,
+            values: Object.fromEntries(metrics.map((label, k) => [label, row.values[k]])),
+        })),
+    }
+}
+
+/**
+ * Exports the numbers behind the current view (selected tools, visible metrics, ranking score)
+ * as CSV, TSV or JSON with provenance metadata.
+ * @param {() => object} getContext - Returns `{ csvData, selectedCsv, selectedKit, modification, dataset, axisLabels,
+ *   selectedModels, modelNames, modelScores, rankingPreset, isCustomRanking, getMetricWeight }`.
+ */
+export function useDataExport(getContext) {
+    const valueMode = ref('normalised') // 'normalised' | 'raw'
+    const dataExportError = ref(null)
+
+    /**
+     * @param {'csv'|'tsv'|'json'} format
+     */
+    function exportData(format) {
+        const context = getContext()
+        const { mimeType, delimiter } = export_formats[format]
+        const table = buildExportRows(context, valueMode.value)
+        if (!table.rows.length) {
+            dataExportError.value = 'Select at least one tool to export.'
+            return
+        }
+        dataExportError.value = null
+        const content = format === 'json'
+            ? JSON.stringify(buildJsonExport(context, valueMode.value), null, 2)
+            : formatDelimited(table, delimiter)
+        const baseName = `NaRMBench_${context.modification}_${context.selectedKit}_${valueMode.value}`.replace(/[^\w.-]+/g, '_')
+        downloadBlob(new Blob([content], { type: mimeType }), `${baseName}.${format}`)
+    }
+
+    return {
+        valueMode,
+        dataExportError,
+        exportData,
+    }
+}
@@ -0,0 +1,74 @@
+import { computed } from 'vue'
+import { dataset_dimensions, compareReleases } from '../utils/datasetNames'
+import { getDatasetInfo, sortCsvFiles } from './useCsvData'
+
+// Always offered, even with a single value; the other dimensions only when some dataset declares them
+const core_dimensions = ['modification', 'kit']
+
+/**
+ * Dataset selectors built from the dataset dimensions (modification, kit, sample, ground truth, release).
+ * Picking a value switches to the dataset with that value that keeps most of the other current values.
+ * @param {import('vue').Ref<object>} kitFiles - File names per kit.
+ * @param {import('vue').Ref<string[]>} kits - Sorted kit names.
+ * @param {import('vue').Ref<string>} selectedKit - The currently selected kit.
+ * @param {import('vue').Ref<string>} selectedCsv - The currently selected CSV filename.
+ */
+export function useDatasetFacets(kitFiles, kits, selectedKit, selectedCsv) {
+    const files = computed(() => sortCsvFiles(Object.values(kitFiles.value).flat()))
+
+    /**
+     * The dataset to switch to for a facet value: among those with the value, the one that matches
+     * the current selection on the most other dimensions (display order breaks ties).
+     * @param {string} key - Dimension key.
+     * @param {string} value - Dimension value.
+     * @returns {{ file: string, exact: boolean }}
+     */
+    function findTarget(key, value) {
+        const current = selectedCsv.value ? getDatasetInfo(selectedCsv.value) : {}
+        const others = dataset_dimensions.filter(dimension => dimension.key !== key)
+        let best = null
+        files.value.forEach(file => {
+            const info = getDatasetInfo(file)
+            if (info[key] !== value) return
+            const score = others.filter(({ key: other }) => info[other] === current[other]).length
+            if (!best || score > best.score) best = { file, score }
+        })
+        return { file: best.file, exact: best.score === others.length }
+    }
+
+    const facets = computed(() => dataset_dimensions
+        .map(({ key, label, unspecified = 'Not specified' }) => {
+            // Optional dimensions also offer null ('not specified') when some datasets do not declare them
+            let values = key === 'kit'
+                ? kits.value
+                : [...new Set(files.value.map(file => getDatasetInfo(file)[key]))]
+                    .sort((a, b) => (a === null) - (b === null))
+            if (key === 'release') values = values.sort(compareReleases)
+            const selectedValue = selectedCsv.value ? getDatasetInfo(selectedCsv.value)[key] : null
+            return {
+                key,
+                label,
+                options: values.map(value => ({
+                    value,
+                    text: value ?? unspecified,
+                    selected: value === selectedValue,
+                    ...findTarget(key, value),
+                })),
+            }
+        })
+        .filter(facet => core_dimensions.includes(facet.key) || facet.options.some(option => option.value !== null)))
+
+    /**
+     * Switches to the dataset a facet option points to.
+     * @param {{ file: string }} option - Entry of `facets[].options`.
+     */
+    function selectFacetOption(option) {
+        selectedKit.value = getDatasetInfo(option.file).kit
+        selectedCsv.value = option.file
+    }
+
+    return {
+        facets,
+        selectFacetOption,
+    }
+}
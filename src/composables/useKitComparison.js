@@ -0,0 +1,154 @@
+import { ref, computed, watch } from 'vue'
+import { generateColors } from '../utils/chartConfig'
+import { isCounterpart } from './useCsvData'
+import { getAxisLabels, computeScaleRange, createRadarOptions, isMissingValue } from './useChart'
+
+const custom_compare_dash = [8, 5] // Line dash of the comparison kit traces
+
+/**
+ * Looks up a tool's values for a list of labels, returning null for labels the file does not have.
+ * @param {object} csvData - Parsed CSV data.
+ * @param {string} key - 'data' (normalised) or 'rawData'.
+ * @param {string} tool - Tool name.
+ * @param {string[]} labels - Metric labels in the wanted order.
+ * @returns {(number|null)[]}
+ */
+function valuesForLabels(csvData, key, tool, labels) {
+    const values = csvData[key]?.[tool]
+    return labels.map(label => {
+        const index = csvData.labels.indexOf(label)
+        return values && index !== -1 ? values[index] : null
+    })
+}
+
+/**
+ * Compares the same modification across two sequencing chemistries (e.g. m6A_002.csv vs m6A_004.csv).
+ * Tools present in both kits are drawn twice on one radar (current kit solid, comparison kit dashed);
+ * tools present in only one kit are not drawn but reported in `toolSets` so the UI can list them.
+ * @param {import('vue').Ref<object>} csvDataCache - Parsed CSV data loaded so far, keyed by file name.
+ * @param {import('vue').Ref<object>} kitFiles - File names per kit.
+ * @param {import('vue').Ref<string>} selectedKit - The currently selected kit.
+ * @param {import('vue').Ref<string>} selectedCsv - The currently selected CSV filename.
+ * @param {import('vue').Ref<string[]>} axisLabels - Metric labels to draw, in axis order (see useMetricAxes).
+ * @param {import('vue').Ref<string[]>} selectedModels - Tools selected in the tool selector.
+ * @param {import('vue').Ref<string>} [colorPalette] - Key of colorPalettes in chartConfig.js.
+ */
+export function useKitComparison(csvDataCache, kitFiles, selectedKit, selectedCsv, axisLabels, selectedModels, colorPalette = null) {
+    const compareKit = ref(null)
+    const hoveredDatasetIndex = ref(null)
+
+    // Other kits that have a file for the selected modification (and the same sample, ground truth and release)
+    const comparableKits = computed(() => {
+        if (!selectedCsv.value) return []
+        return Object.keys(kitFiles.value)
+            .filter(kit => kit !== selectedKit.value)
+            .filter(kit => kitFiles.value[kit].some(file => isCounterpart(file, selectedCsv.value)))
+            .sort()
+    })
+
+    watch(comparableKits, (newKits) => {
+        if (!newKits.includes(compareKit.value)) {
+            compareKit.value = newKits[0] || null
+        }
+    }, { immediate: true })
+
+    const compareCsv = computed(() => {
+        if (!compareKit.value) return null
+        return (kitFiles.value[compareKit.value] || [])
+            .find(file => isCounterpart(file, selectedCsv.value)) || null
+    })
+
+    const currentData = computed(() => csvDataCache.value[selectedCsv.value] || null)
+    const compareData = computed(() => (compareCsv.value ? csvDataCache.value[compareCsv.value] || null : null))
+
+    // Metric labels of the current file as set in the Metric axes panel, then those only the comparison file has
+    const labels = computed(() => {
+        if (!currentData.value || !compareData.value) return []
+        const extra = compareData.value.labels.filter(label => !currentData.value.labels.includes(label))
+        return [...getAxisLabels(currentData.value.labels, axisLabels), ...extra]
+    })
+
+    const toolSets = computed(() => {
+        const current = Object.keys(currentData.value?.data || {})
+        const other = Object.keys(compareData.value?.data || {})
+        return {
+            shared: current.filter(tool => other.includes(tool)),
+            onlyCurrent: current.filter(tool => !other.includes(tool)),
+            onlyCompare: other.filter(tool => !current.includes(tool)),
+        }
+    })
+
+    const comparisonData = computed(() => {
+        if (!labels.value.length) return { labels: [], datasets: [] }
+
+        const visibleTools = toolSets.value.shared.filter(tool => selectedModels.value.includes(tool))
+        const colors = generateColors(visibleTools.length, visibleTools, colorPalette?.value)
+        const colorOf = tool => colors[visibleTools.indexOf(tool)]
+
+        const traces = []
+        const addTrace = (tool, kit, data, otherKit, otherData) => {
+            const values = valuesForLabels(data, 'data', tool, labels.value)
+            const otherValues = valuesForLabels(otherData, 'data', tool, labels.value)
+            traces.push({
+                tool,
+                kit,
+                otherKit,
+                values,
+                rawValues: valuesForLabels(data, 'rawData', tool, labels.value),
+                deltas: values.map((val, i) => (isMissingValue(val) || isMissingValue(otherValues[i]) ? null : val - otherValues[i])),
+                isCompare: kit === compareKit.value,
+            })
+        }
+        visibleTools.forEach(tool => addTrace(tool, selectedKit.value, currentData.value, compareKit.value, compareData.value))
+        visibleTools.forEach(tool => addTrace(tool, compareKit.value, compareData.value, selectedKit.value, currentData.value))
+
+        const datasets = traces.map((trace, i) => {
+            const isHovered = hoveredDatasetIndex.value === i
+            const color = colorOf(trace.tool)
+            return {
+                label: trace.tool,
+                kit: trace.kit,
+                otherKit: trace.otherKit,
+                data: trace.values,
+                rawData: trace.rawValues,
+                deltas: trace.deltas,
+                borderColor: isHovered ? color : color.replace('hsl', 'hsla').replace(')', ', 0.5)'),
+                backgroundColor: color.replace('hsl', 'hsla').replace(')', `, ${isHovered ? 0.3 : 0.02})`),
+                pointBackgroundColor: color,
+                borderDash: trace.isCompare ? custom_compare_dash : [],
+                borderWidth: isHovered ? 5 : 3,
+                pointRadius: isHovered ? 4 : 2,
+                pointHoverRadius: 6,
+                pointHitRadius: 10,
+                fill: isHovered,
+            }
+        })
+
+        return { labels: labels.value, datasets }
+    })
+
+    const comparisonOptions = computed(() => createRadarOptions({
+        scaleRange: computeScaleRange(comparisonData.value.datasets.map(ds => ds.data)),
+        formatLabel: (ctx, value) => {
+            const { label, kit, otherKit, deltas } = ctx.dataset
+            const delta = deltas[ctx.dataIndex]
+            if (isMissingValue(delta)) {
+                return `${label} (${kit}): ${value} (not evaluated in ${otherKit})`
+            }
+            const sign = delta >= 0 ? '+' : ''
+            return `${label} (${kit}): ${value} (Δ ${sign}${delta.toFixed(4)} vs ${otherKit})`
+        },
+        onHover: (event, chartElements) => {
+            hoveredDatasetIndex.value = chartElements.length > 0 ? chartElements[0].datasetIndex : null
+        }
+    }))
+
+    return {
+        compareKit,
+        comparableKits,
+        compareCsv,
+        toolSets,
+        comparisonData,
+        comparisonOptions,
+    }
+}
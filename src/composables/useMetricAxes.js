@@ -0,0 +1,141 @@
+import { ref, computed, watch } from 'vue'
+import { metricGroups } from '../utils/chartConfig'
+import { getPreference, setPreference } from '../utils/storage'
+import { getModification } from './useCsvData'
+import { toAxisOrder } from './useChart'
+
+const min_visible_axes = 3 // A radar needs at least three axes to form a polygon
+
+/**
+ * Manages which metric axes the radar shows and in which order.
+ * The choice is remembered per modification (e.g. 'm6A'), so both kits share it.
+ * @param {import('vue').ComputedRef<object|null>} csvData - The current CSV data.
+ * @param {import('vue').Ref<string>} selectedCsv - The currently selected CSV filename.
+ * @param {{ csv?: string, axes?: string[], hidden?: string[] }} [initialState] - Axes to start from (e.g. from a
+ *   shared link) for `csv`; takes precedence over the stored choice.
+ */
+export function useMetricAxes(csvData, selectedCsv, initialState = {}) {
+    const axisOrder = ref([]) // Every label of the dataset, in the order drawn on the radar
+    const hiddenMetrics = ref([])
+    let pendingInitialAxes = initialState.axes || initialState.hidden ? initialState : null
+
+    const storageKey = computed(() => {
+        if (!selectedCsv.value) return null
+        return `metricAxes_${getModification(selectedCsv.value)}`
+    })
+
+    const defaultOrder = computed(() => toAxisOrder(csvData.value?.labels || []))
+
+    // Restore the stored axes for the modification, dropping labels the dataset does not have
+    // and appending labels that were not known when the choice was saved
+    watch(defaultOrder, (labels) => {
+        let saved = storageKey.value ? getPreference(storageKey.value) : null
+        if (pendingInitialAxes && labels.length && (!pendingInitialAxes.csv || pendingInitialAxes.csv === selectedCsv.value)) {
+            saved = { order: pendingInitialAxes.axes, hidden: pendingInitialAxes.hidden }
+            pendingInitialAxes = null
+        }
+        setAxes(saved)
+    }, { immediate: true })
+
+    /**
+     * Applies a saved axis choice to the current dataset, dropping labels it does not have
+     * and appending the ones the choice does not mention.
+     * @param {{ order?: string[], hidden?: string[] }|null} saved - Axis order and hidden labels.
+     */
+    function setAxes(saved) {
+        const labels = defaultOrder.value
+        const savedOrder = Array.isArray(saved?.order) ? saved.order.filter(label => labels.includes(label)) : []
+        axisOrder.value = [...savedOrder, ...labels.filter(label => !savedOrder.includes(label))]
+        const savedHidden = Array.isArray(saved?.hidden) ? saved.hidden.filter(label => labels.includes(label)) : []
+        hiddenMetrics.value = labels.length - savedHidden.length >= min_visible_axes ? savedHidden : []
+    }
+
+    watch([axisOrder, hiddenMetrics], ([order, hidden]) => {
+        if (storageKey.value && order.length) {
+            setPreference(storageKey.value, { order, hidden })
+        }
+    }, { deep: true })
+
+    const isDefaultAxes = computed(() => !hiddenMetrics.value.length
+        && axisOrder.value.every((label, i) => label === defaultOrder.value[i]))
+
+    // Labels drawn on the radar, in axis order
+    const axisLabels = computed(() => axisOrder.value.filter(label => !hiddenMetrics.value.includes(label)))
+
+    // Groups that have at least one label in the current dataset
+    const availableGroups = computed(() => Object.keys(metricGroups)
+        .filter(name => metricGroups[name].some(label => axisOrder.value.includes(label))))
+
+    // Name of the group matching the visible axes, 'All', or null for a custom choice
+    const activeGroup = computed(() => {
+        if (!hiddenMetrics.value.length) return 'All'
+        return availableGroups.value.find(name => {
+            const labels = axisOrder.value.filter(label => metricGroups[name].includes(label))
+            // Small groups are padded up to the minimum axis count, see showGroup
+            return axisLabels.value.length === Math.max(labels.length, min_visible_axes)
+                && labels.every(label => axisLabels.value.includes(label))
+        }) || null
+    })
+
+    /**
+     * Shows or hides one metric axis; never hides below the minimum axis count.
+     * @param {string} label - Metric label.
+     */
+    function toggleMetric(label) {
+        if (hiddenMetrics.value.includes(label)) {
+            hiddenMetrics.value = hiddenMetrics.value.filter(item => item !== label)
+        } else if (axisLabels.value.length > min_visible_axes) {
+            hiddenMetrics.value = [...hiddenMetrics.value, label]
+        }
+    }
+
+    /**
+     * Shows only the metrics of a named group (see metricGroups in chartConfig.js), or all with 'All'.
+     * Groups with fewer metrics than a radar needs are padded with the next axes in order.
+     * @param {string} name - Group name or 'All'.
+     */
+    function showGroup(name) {
+        if (name === 'All' || !metricGroups[name]) {
+            hiddenMetrics.value = []
+            return
+        }
+        const visible = axisOrder.value.filter(label => metricGroups[name].includes(label))
+        axisOrder.value.forEach(label => {
+            if (visible.length < min_visible_axes && !visible.includes(label)) visible.push(label)
+        })
+        hiddenMetrics.value = axisOrder.value.filter(label => !visible.includes(label))
+    }
+
+    /**
+     * Moves an axis to another position in the axis order.
+     * @param {number} from - Current index in axisOrder.
+     * @param {number} to - Target index in axisOrder.
+     */
+    function moveAxis(from, to) {
+        if (from === to || from < 0 || to < 0 || from >= axisOrder.value.length || to >= axisOrder.value.length) return
+        const order = [...axisOrder.value]
+        const [label] = order.splice(from, 1)
+        order.splice(to, 0, label)
+        axisOrder.value = order
+    }
+
+    function resetAxes() {
+        axisOrder.value = [...defaultOrder.value]
+        hiddenMetrics.value = []
+    }
+
+    return {
+        axisOrder,
+        hiddenMetrics,
+        axisLabels,
+        availableGroups,
+        activeGroup,
+        isDefaultAxes,
+        minVisibleAxes: min_visible_axes,
+        toggleMetric,
+        showGroup,
+        moveAxis,
+        resetAxes,
+        setAxes,
+    }
+}
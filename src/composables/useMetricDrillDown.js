@@ -0,0 +1,211 @@
+import { ref, computed, watch } from 'vue'
+import { metricDefinitions, metricGroups } from '../utils/chartConfig'
+import { formatMetricValue, isMissingValue } from './useChart'
+
+// Optional detail data next to a CSV: 'm6A_002.details.json' for 'm6A_002.csv'. Per metric label, a chart of
+// points per tool, e.g. the ROC curve behind AUROC or the performance at each sequencing depth:
+// { "AUROC": { "title": "ROC curve", "xLabel": "False positive rate", "yLabel": "True positive rate",
+//              "series": { "m6Anet": [[0, 0], [0.1, 0.62], [1, 1]] } } }
+const detail_loaders = Object.fromEntries(
+    Object.entries(import.meta.glob('../data/**/*.details.json', { import: 'default' }))
+        .map(([path, load]) => [path.slice('../data/'.length).replace(/\.details\.json$/, '.csv'), load])
+)
+const detail_cache = new Map() // Dataset file -> Promise of its detail data
+
+const custom_faded_alpha = 0.25 // Opacity of the tools not selected in the tool selector
+
+/**
+ * Loads the detail data of a dataset, once.
+ * @param {string} fileName - Dataset file name.
+ * @returns {Promise<object|null>} - Detail data by metric label, or null if the dataset has none.
+ */
+function loadDetails(fileName) {
+    if (!detail_loaders[fileName]) return Promise.resolve(null)
+    if (!detail_cache.has(fileName)) {
+        const promise = detail_loaders[fileName]().catch(error => {
+            detail_cache.delete(fileName) // Let a later opening retry
+            throw error
+        })
+        detail_cache.set(fileName, promise)
+    }
+    return detail_cache.get(fileName)
+}
+
+/**
+ * Checks the detail chart of one metric and keeps the series with at least one valid point.
+ * @param {any} detail - Entry of a details file.
+ * @returns {{ title: string|null, xLabel: string, yLabel: string, series: object }|null}
+ */
+function normaliseDetail(detail) {
+    if (!detail || typeof detail.series !== 'object') return null
+    const series = {}
+    Object.entries(detail.series).forEach(([tool, points]) => {
+        const valid = Array.isArray(points)
+            ? points.filter(point => Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1]))
+            : []
+        if (valid.length) series[tool] = valid
+    })
+    if (!Object.keys(series).length) return null
+    return { title: detail.title || null, xLabel: detail.xLabel || 'x', yLabel: detail.yLabel || 'y', series }
+}
+
+const fade = (color, alpha) => color.replace('hsl', 'hsla').replace(')', `, ${alpha})`)
+
+/**
+ * Drill-down panel of one metric: its definition, a bar chart of every tool of the dataset on it
+ * and, where the dataset ships detail data, the curve or distribution behind the number.
+ * @param {import('vue').Ref<string|null>} activeMetric - Metric whose panel is open (see useChart).
+ * @param {import('vue').Ref<object|null>} csvData - Parsed data of the selected CSV.
+ * @param {import('vue').Ref<string>} selectedCsv - The currently selected CSV filename.
+ * @param {import('vue').Ref<object>} modelColors - Colour per tool.
+ * @param {import('vue').Ref<string[]>} selectedModels - Tools selected in the tool selector.
+ */
+export function useMetricDrillDown(activeMetric, csvData, selectedCsv, modelColors, selectedModels) {
+    const details = ref(null)
+    const detailStatus = ref('none') // 'none' | 'loading' | 'loaded' | 'error'
+
+    // Close the panel when the dataset has no such metric
+    watch(csvData, (data) => {
+        if (activeMetric.value && !data?.labels.includes(activeMetric.value)) activeMetric.value = null
+    })
+
+    // Load the detail data of the dataset when a panel is opened on it
+    watch([activeMetric, selectedCsv], ([metric, fileName]) => {
+        details.value = null
+        if (!metric || !fileName || !detail_loaders[fileName]) {
+            detailStatus.value = 'none'
+            return
+        }
+        detailStatus.value = 'loading'
+        loadDetails(fileName)
+            .then(data => {
+                if (selectedCsv.value !== fileName) return
+                details.value = data
+                detailStatus.value = 'loaded'
+            })
+            .catch(error => {
+                console.error(`Failed to load the details of ${fileName}`, error)
+                if (selectedCsv.value === fileName) detailStatus.value = 'error'
+            })
+    }, { immediate: true })
+
+    const definition = computed(() => metricDefinitions[activeMetric.value] || null)
+    const group = computed(() => Object.keys(metricGroups).find(name => metricGroups[name].includes(activeMetric.value)) || null)
+
+    // Every tool with a value on the metric, best first; tools without one are listed apart
+    const ranking = computed(() => {
+        const index = csvData.value?.labels.indexOf(activeMetric.value) ?? -1
+        if (index === -1) return { rows: [], notEvaluated: [] }
+        const rows = []
+        const notEvaluated = []
+        Object.keys(csvData.value.data).forEach(tool => {
+            const value = csvData.value.data[tool][index]
+            if (isMissingValue(value)) notEvaluated.push(tool)
+            else rows.push({ tool, value, raw: csvData.value.rawData[tool][index] })
+        })
+        rows.sort((a, b) => b.value - a.value)
+        return { rows, notEvaluated }
+    })
+
+    const barData = computed(() => {
+        const { rows } = ranking.value
+        const colors = rows.map(({ tool }) => {
+            const color = modelColors.value[tool] || 'hsl(0, 0%, 50%)'
+            return selectedModels.value.includes(tool) ? color : fade(color, custom_faded_alpha)
+        })
+        return {
+            labels: rows.map(({ tool }) => tool),
+            datasets: [{
+                label: activeMetric.value,
+                data: rows.map(({ value }) => value),
+                rawData: rows.map(({ raw }) => raw),
+                backgroundColor: colors,
+                borderColor: colors,
+                borderWidth: 1,
+            }],
+        }
+    })
+
+    const barOptions = computed(() => ({
+        indexAxis: 'y',
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+            x: { min: 0, suggestedMax: 1, title: { display: true, text: 'Normalised value' } },
+            y: { ticks: { autoSkip: false } },
+        },
+        plugins: {
+            legend: { display: false },
+            tooltip: {
+                callbacks: {
+                    label: (ctx) => formatMetricValue(ctx.raw, ctx.dataset.rawData[ctx.dataIndex]),
+                },
+            },
+        },
+    }))
+
+    const detail = computed(() => normaliseDetail(details.value?.[activeMetric.value]))
+
+    const detailData = computed(() => {
+        if (!detail.value) return { datasets: [] }
+        return {
+            datasets: Object.entries(detail.value.series).map(([tool, points]) => {
+                const color = modelColors.value[tool] || 'hsl(0, 0%, 50%)'
+                const isSelected = selectedModels.value.includes(tool)
+                return {
+                    label: tool,
+                    data: points.map(([x, y]) => ({ x, y })),
+                    borderColor: isSelected ? color : fade(color, custom_faded_alpha),
+                    backgroundColor: isSelected ? color : fade(color, custom_faded_alpha),
+                    showLine: true,
+                    pointRadius: 0,
+                    pointHitRadius: 6,
+                    borderWidth: isSelected ? 2 : 1,
+                }
+            }),
+        }
+    })
+
+    const detailOptions = computed(() => ({
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+            x: { type: 'linear', title: { display: true, text: detail.value?.xLabel } },
+            y: { title: { display: true, text: detail.value?.yLabel } },
+        },
+        plugins: {
+            legend: { position: 'bottom', labels: { boxWidth: 12 } },
+            tooltip: {
+                callbacks: {
+                    label: (ctx) => `${ctx.dataset.label}: (${Number(ctx.raw.x).toPrecision(3)}, ${Number(ctx.raw.y).toPrecision(3)})`,
+                },
+            },
+        },
+    }))
+
+    /**
+     * Opens the panel of a metric.
+     * @param {string} label - Metric label.
+     */
+    function openMetric(label) {
+        activeMetric.value = label
+    }
+
+    function closeMetric() {
+        activeMetric.value = null
+    }
+
+    return {
+        definition,
+        group,
+        ranking,
+        barData,
+        barOptions,
+        detail,
+        detailStatus,
+        detailData,
+        detailOptions,
+        openMetric,
+        closeMetric,
+    }
+}
@@ -0,0 +1,179 @@
+import { ref, computed, watch } from 'vue'
+import { generateColors } from '../utils/chartConfig'
+import { compareReleases, current_release } from '../utils/datasetNames'
+import { getDatasetInfo, isCounterpart } from './useCsvData'
+import { getAxisLabels, computeScaleRange, createRadarOptions, isMissingValue } from './useChart'
+
+const custom_old_release_dash = [8, 5] // Line dash of the older release's traces
+const custom_change_tolerance = 1e-9 // Raw differences below this are not reported as changes
+
+/**
+ * Value of a tool on a metric, or null if the file does not have the tool or the metric.
+ * @param {object|null} csvData - Parsed CSV data.
+ * @param {string} key - 'data' (normalised) or 'rawData'.
+ * @param {string} tool - Tool name.
+ * @param {string} label - Metric label.
+ * @returns {number|null}
+ */
+function valueOf(csvData, key, tool, label) {
+    const index = csvData?.labels.indexOf(label) ?? -1
+    return index === -1 ? null : csvData[key][tool]?.[index] ?? null
+}
+
+/**
+ * Release name of a dataset, for display.
+ * @param {string} fileName - Dataset file name.
+ * @returns {string}
+ */
+export function getReleaseName(fileName) {
+    return getDatasetInfo(fileName).release ?? current_release
+}
+
+/**
+ * "What changed" between two benchmark releases of the selected dataset (same modification, kit, sample
+ * and ground truth): tools and metrics added or removed, per-metric value changes, and a radar overlaying
+ * the old (dashed) and new (solid) traces of the selected tools present in both releases.
+ * @param {import('vue').Ref<object>} csvDataCache - Parsed CSV data loaded so far, keyed by file name.
+ * @param {import('vue').Ref<object>} kitFiles - File names per kit.
+ * @param {import('vue').Ref<string>} selectedCsv - The currently selected CSV filename.
+ * @param {import('vue').Ref<string[]>} axisLabels - Metric labels to draw, in axis order (see useMetricAxes).
+ * @param {import('vue').Ref<string[]>} selectedModels - Tools selected in the tool selector.
+ * @param {import('vue').Ref<string>} [colorPalette] - Key of colorPalettes in chartConfig.js.
+ */
+export function useReleaseDiff(csvDataCache, kitFiles, selectedCsv, axisLabels, selectedModels, colorPalette = null) {
+    const compareFile = ref(null)
+    const hoveredDatasetIndex = ref(null)
+
+    // The selected dataset in the other releases, oldest first
+    const releaseFiles = computed(() => {
+        if (!selectedCsv.value) return []
+        return Object.values(kitFiles.value).flat()
+            .filter(file => file !== selectedCsv.value && isCounterpart(file, selectedCsv.value, 'release'))
+            .sort((a, b) => compareReleases(getDatasetInfo(a).release, getDatasetInfo(b).release))
+    })
+
+    // Default to the release just before the selected one, or the first one after it
+    watch(releaseFiles, (files) => {
+        if (files.includes(compareFile.value)) return
+        const release = getDatasetInfo(selectedCsv.value || '').release
+        const older = files.filter(file => compareReleases(getDatasetInfo(file).release, release) < 0)
+        compareFile.value = older.length ? older[older.length - 1] : files[0] || null
+    }, { immediate: true })
+
+    // The pair in release order
+    const pair = computed(() => {
+        if (!selectedCsv.value || !compareFile.value) return null
+        const files = [selectedCsv.value, compareFile.value]
+            .sort((a, b) => compareReleases(getDatasetInfo(a).release, getDatasetInfo(b).release))
+        return { oldFile: files[0], newFile: files[1], oldRelease: getReleaseName(files[0]), newRelease: getReleaseName(files[1]) }
+    })
+
+    const oldData = computed(() => (pair.value ? csvDataCache.value[pair.value.oldFile] || null : null))
+    const newData = computed(() => (pair.value ? csvDataCache.value[pair.value.newFile] || null : null))
+    const isReady = computed(() => Boolean(oldData.value && newData.value))
+
+    const diff = computed(() => {
+        const empty = { labels: [], labelsAdded: [], labelsRemoved: [], toolsAdded: [], toolsRemoved: [], changes: [], unchangedTools: [] }
+        if (!isReady.value) return empty
+        const oldTools = Object.keys(oldData.value.data)
+        const newTools = Object.keys(newData.value.data)
+        const sharedLabels = newData.value.labels.filter(label => oldData.value.labels.includes(label))
+
+        // Per tool in both releases: the metrics whose raw value changed, or that became (un)evaluated
+        const changes = []
+        const unchangedTools = []
+        newTools.filter(tool => oldTools.includes(tool)).forEach(tool => {
+            const metrics = sharedLabels
+                .map(label => {
+                    const oldValue = valueOf(oldData.value, 'rawData', tool, label)
+                    const newValue = valueOf(newData.value, 'rawData', tool, label)
+                    const delta = isMissingValue(oldValue) || isMissingValue(newValue) ? null : newValue - oldValue
+                    return { label, oldValue, newValue, delta }
+                })
+                .filter(({ oldValue, newValue, delta }) => (delta === null
+                    ? isMissingValue(oldValue) !== isMissingValue(newValue)
+                    : Math.abs(delta) > custom_change_tolerance))
+            if (metrics.length) changes.push({ tool, metrics })
+            else unchangedTools.push(tool)
+        })
+
+        return {
+            labels: sharedLabels,
+            labelsAdded: newData.value.labels.filter(label => !oldData.value.labels.includes(label)),
+            labelsRemoved: oldData.value.labels.filter(label => !newData.value.labels.includes(label)),
+            toolsAdded: newTools.filter(tool => !oldTools.includes(tool)),
+            toolsRemoved: oldTools.filter(tool => !newTools.includes(tool)),
+            changes,
+            unchangedTools,
+        }
+    })
+
+    // Radar overlay: selected tools of both releases, on the metrics of both shown in the Metric axes panel
+    const overlayData = computed(() => {
+        const labels = getAxisLabels(diff.value.labels, axisLabels)
+        if (!isReady.value || !labels.length) return { labels: [], datasets: [] }
+        const tools = Object.keys(newData.value.data)
+            .filter(tool => oldData.value.data[tool] && selectedModels.value.includes(tool))
+        const colors = generateColors(tools.length, tools, colorPalette?.value)
+
+        const traces = []
+        tools.forEach((tool, i) => {
+            const oldValues = labels.map(label => valueOf(oldData.value, 'data', tool, label))
+            const newValues = labels.map(label => valueOf(newData.value, 'data', tool, label))
+            traces.push({ tool, color: colors[i], release: pair.value.newRelease, otherRelease: pair.value.oldRelease,
+                values: newValues, otherValues: oldValues, csvData: newData.value, isOld: false })
+            traces.push({ tool, color: colors[i], release: pair.value.oldRelease, otherRelease: pair.value.newRelease,
+                values: oldValues, otherValues: newValues, csvData: oldData.value, isOld: true })
+        })
+
+        const datasets = traces.map((trace, i) => {
+            const isHovered = hoveredDatasetIndex.value === i
+            return {
+                label: trace.tool,
+                release: trace.release,
+                otherRelease: trace.otherRelease,
+                data: trace.values,
+                rawData: labels.map(label => valueOf(trace.csvData, 'rawData', trace.tool, label)),
+                deltas: trace.values.map((val, j) => (isMissingValue(val) || isMissingValue(trace.otherValues[j])
+                    ? null : val - trace.otherValues[j])),
+                borderColor: isHovered || !trace.isOld ? trace.color : trace.color.replace('hsl', 'hsla').replace(')', ', 0.5)'),
+                backgroundColor: trace.color.replace('hsl', 'hsla').replace(')', `, ${isHovered ? 0.3 : 0.02})`),
+                pointBackgroundColor: trace.color,
+                borderDash: trace.isOld ? custom_old_release_dash : [],
+                borderWidth: isHovered ? 5 : 3,
+                pointRadius: isHovered ? 4 : 2,
+                pointHoverRadius: 6,
+                pointHitRadius: 10,
+                fill: isHovered,
+            }
+        })
+
+        return { labels, datasets }
+    })
+
+    const overlayOptions = computed(() => createRadarOptions({
+        scaleRange: computeScaleRange(overlayData.value.datasets.map(ds => ds.data)),
+        formatLabel: (ctx, value) => {
+            const { label, release, otherRelease, deltas } = ctx.dataset
+            const delta = deltas[ctx.dataIndex]
+            if (isMissingValue(delta)) {
+                return `${label} (${release}): ${value} (not evaluated in ${otherRelease})`
+            }
+            const sign = delta >= 0 ? '+' : ''
+            return `${label} (${release}): ${value} (Δ ${sign}${delta.toFixed(4)} vs ${otherRelease})`
+        },
+        onHover: (event, chartElements) => {
+            hoveredDatasetIndex.value = chartElements.length > 0 ? chartElements[0].datasetIndex : null
+        }
+    }))
+
+    return {
+        releaseFiles,
+        compareFile,
+        pair,
+        isReady,
+        diff,
+        overlayData,
+        overlayOptions,
+    }
+}
@@ -0,0 +1,139 @@
+import { computed, ref } from 'vue'
+import { getAxisLabels, computeScaleRange, createRadarOptions, isMissingValue, custom_retrain_dash } from './useChart'
+import { isCounterpart } from './useCsvData'
+import { findRetrainPairs } from '../utils/toolPairs'
+
+/**
+ * Effect of retraining: each original/retrained pair drawn together (retrained dashed), with the
+ * per-metric gain or loss of the retrained variant over its original.
+ * A pair member missing from the selected file is taken from another kit's file for the same
+ * modification (e.g. EpiNano is only benchmarked with RNA002, EpiNano-retrain with RNA004); such
+ * traces are labelled with their kit.
+ * @param {import('vue').Ref<object>} csvDataCache - Parsed CSV data loaded so far, keyed by file name.
+ * @param {import('vue').Ref<object>} kitFiles - File names per kit.
+ * @param {import('vue').Ref<string>} selectedKit - The currently selected kit.
+ * @param {import('vue').Ref<string>} selectedCsv - The currently selected CSV filename.
+ * @param {import('vue').Ref<string[]>} axisLabels - Metric labels to draw, in axis order (see useMetricAxes).
+ * @param {import('vue').Ref<string[]>} modelNames - Tools of the selected file, in ranking order.
+ * @param {import('vue').Ref<string[]>} selectedModels - Tools selected in the tool selector; a pair is shown
+ *   when its member from the selected file is selected.
+ * @param {import('vue').Ref<object>} modelColors - Colour per tool.
+ */
+export function useRetrainEffect(csvDataCache, kitFiles, selectedKit, selectedCsv, axisLabels, modelNames, selectedModels, modelColors) {
+    const hoveredDatasetIndex = ref(null)
+
+    const currentData = computed(() => csvDataCache.value[selectedCsv.value] || null)
+
+    const labels = computed(() => {
+        return getAxisLabels(currentData.value?.labels || [], axisLabels)
+    })
+
+    // Where each tool's values come from: the selected file first, then the other kits' files for the same modification
+    const toolSources = computed(() => {
+        const sources = {}
+        modelNames.value.forEach(tool => {
+            sources[tool] = { kit: selectedKit.value, csvData: currentData.value }
+        })
+        if (!selectedCsv.value) return sources
+        Object.keys(kitFiles.value).sort()
+            .filter(kit => kit !== selectedKit.value)
+            .forEach(kit => {
+                const file = kitFiles.value[kit].find(name => isCounterpart(name, selectedCsv.value))
+                const csvData = file ? csvDataCache.value[file] : null
+                Object.keys(csvData?.data || {}).forEach(tool => {
+                    if (!sources[tool]) sources[tool] = { kit, csvData }
+                })
+            })
+        return sources
+    })
+
+    // Every pair with at least one member in the selected file
+    const availablePairs = computed(() => findRetrainPairs(Object.keys(toolSources.value))
+        .filter(({ original, retrained }) => modelNames.value.includes(original) || modelNames.value.includes(retrained)))
+
+    const valuesOf = (key, tool) => {
+        const { csvData } = toolSources.value[tool]
+        const values = csvData?.[key]?.[tool] || []
+        return labels.value.map(label => {
+            const index = csvData.labels.indexOf(label)
+            return index === -1 ? null : values[index] ?? null
+        })
+    }
+
+    const traceLabel = tool => {
+        const { kit } = toolSources.value[tool]
+        return kit === selectedKit.value ? tool : `${tool} (${kit})`
+    }
+
+    // Per pair: gain (retrained - original) per metric, null where either was not evaluated
+    const effects = computed(() => availablePairs.value
+        .filter(({ original, retrained }) => selectedModels.value.includes(original) || selectedModels.value.includes(retrained))
+        .map(({ original, retrained }) => {
+            const before = valuesOf('data', original)
+            const after = valuesOf('data', retrained)
+            const deltas = before.map((value, i) => (isMissingValue(value) || isMissingValue(after[i]) ? null : after[i] - value))
+            const available = deltas.filter(delta => delta !== null)
+            return {
+                original,
+                retrained,
+                originalLabel: traceLabel(original),
+                retrainedLabel: traceLabel(retrained),
+                color: modelColors.value[original] || modelColors.value[retrained],
+                deltas,
+                meanDelta: available.length ? available.reduce((sum, delta) => sum + delta, 0) / available.length : null,
+            }
+        }))
+
+    const effectData = computed(() => {
+        const traces = effects.value.flatMap(effect => [
+            { tool: effect.original, label: effect.originalLabel, other: effect.retrainedLabel, isRetrained: false, color: effect.color,
+                deltas: effect.deltas.map(delta => (delta === null ? null : -delta)) },
+            { tool: effect.retrained, label: effect.retrainedLabel, other: effect.originalLabel, isRetrained: true, color: effect.color,
+                deltas: effect.deltas },
+        ])
+        const datasets = traces.map((trace, i) => {
+            const isHovered = hoveredDatasetIndex.value === i
+            const color = trace.color || 'hsl(0, 0%, 40%)'
+            return {
+                label: trace.label,
+                tool: trace.tool,
+                other: trace.other,
+                data: valuesOf('data', trace.tool),
+                rawData: valuesOf('rawData', trace.tool),
+                deltas: trace.deltas,
+                borderColor: isHovered ? color : color.replace('hsl', 'hsla').replace(')', ', 0.6)'),
+                backgroundColor: color.replace('hsl', 'hsla').replace(')', `, ${isHovered ? 0.3 : 0.02})`),
+                pointBackgroundColor: color,
+                borderDash: trace.isRetrained ? custom_retrain_dash : [],
+                borderWidth: isHovered ? 5 : 3,
+                pointRadius: isHovered ? 4 : 2,
+                pointHoverRadius: 6,
+                pointHitRadius: 10,
+                fill: isHovered,
+            }
+        })
+        return { labels: labels.value, datasets }
+    })
+
+    const effectOptions = computed(() => createRadarOptions({
+        scaleRange: computeScaleRange(effectData.value.datasets.map(ds => ds.data)),
+        formatLabel: (ctx, value) => {
+            const { label, other, deltas } = ctx.dataset
+            const delta = deltas[ctx.dataIndex]
+            if (isMissingValue(delta)) return `${label}: ${value} (${other} not evaluated)`
+            const sign = delta >= 0 ? '+' : ''
+            return `${label}: ${value} (Δ ${sign}${delta.toFixed(4)} vs ${other})`
+        },
+        onHover: (event, chartElements) => {
+            hoveredDatasetIndex.value = chartElements.length > 0 ? chartElements[0].datasetIndex : null
+        }
+    }))
+
+    return {
+        labels,
+        availablePairs,
+        effects,
+        effectData,
+        effectOptions,
+    }
+}
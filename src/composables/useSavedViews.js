@@ -0,0 +1,183 @@
+import { ref, watch } from 'vue'
+import { getPreference, setPreference } from '../utils/storage'
+import { downloadBlob } from './useChartExport'
+
+const views_key = 'savedViews'
+const export_format = 'narmbench-saved-views'
+const export_format_version = 1
+
+/**
+ * The parts of a view state a saved view keeps: dataset, tools, axes and ranking.
+ * @param {object} state - View state, see readUrlState.
+ * @returns {{ kit: string, csv: string, models: string[], axes: string[], hidden: string[], preset: string, weights: object }}
+ */
+function pickViewState(state) {
+    return {
+        kit: state.kit,
+        csv: state.csv,
+        models: [...(state.models || [])],
+        axes: [...(state.axes || [])],
+        hidden: [...(state.hidden || [])],
+        preset: state.preset,
+        weights: { ...(state.weights || {}) },
+    }
+}
+
+/**
+ * Whether an object has the shape of a saved view.
+ * @param {any} view
+ * @returns {boolean}
+ */
+function isValidView(view) {
+    const state = view?.state
+    return typeof view?.name === 'string' && view.name.trim() !== ''
+        && typeof state?.kit === 'string' && typeof state?.csv === 'string'
+        && Array.isArray(state.models) && Array.isArray(state.axes) && Array.isArray(state.hidden)
+}
+
+const createViewId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+
+/**
+ * Named snapshots of the view (kit, modification file, tools, axes and ranking weights) that the user
+ * can apply again later, rename, delete, and move between browsers as JSON.
+ * @param {() => object} getState - Returns the current view state (see readUrlState).
+ * @param {(state: object) => Promise<void>|void} applyState - Restores a saved state.
+ * @param {(fileName: string) => boolean} isAvailable - Whether a dataset file is currently loaded.
+ */
+export function useSavedViews(getState, applyState, isAvailable) {
+    const stored = getPreference(views_key)
+    const savedViews = ref(Array.isArray(stored) ? stored.filter(isValidView) : [])
+    const viewError = ref(null)
+
+    watch(savedViews, (views) => {
+        setPreference(views_key, views)
+    }, { deep: true })
+
+    /**
+     * A name that no saved view uses yet: the name itself, or the name with a counter.
+     * @param {string} name
+     * @returns {string}
+     */
+    function getUniqueName(name) {
+        const names = savedViews.value.map(view => view.name)
+        if (!names.includes(name)) return name
+        let counter = 2
+        while (names.includes(`${name} (${counter})`)) counter++
+        return `${name} (${counter})`
+    }
+
+    /**
+     * Saves the current view under a name.
+     * @param {string} name - View name; a counter is appended if it is taken.
+     */
+    function createView(name) {
+        viewError.value = null
+        const trimmed = name.trim()
+        if (!trimmed) {
+            viewError.value = 'Give the view a name'
+            return
+        }
+        savedViews.value = [...savedViews.value, {
+            id: createViewId(),
+            name: getUniqueName(trimmed),
+            createdAt: new Date().toISOString(),
+            state: pickViewState(getState()),
+        }]
+    }
+
+    /**
+     * Renames a saved view; empty names are ignored.
+     * @param {string} id - View id.
+     * @param {string} name - New name.
+     */
+    function renameView(id, name) {
+        const trimmed = name.trim()
+        const view = savedViews.value.find(item => item.id === id)
+        if (!view || !trimmed || trimmed === view.name) return
+        view.name = getUniqueName(trimmed)
+    }
+
+    /**
+     * Deletes a saved view.
+     * @param {string} id - View id.
+     */
+    function deleteView(id) {
+        savedViews.value = savedViews.value.filter(view => view.id !== id)
+    }
+
+    /**
+     * Restores a saved view. Tools and axes the dataset no longer has are skipped.
+     * @param {string} id - View id.
+     * @returns {Promise<void>}
+     */
+    async function applyView(id) {
+        viewError.value = null
+        const view = savedViews.value.find(item => item.id === id)
+        if (!view) return
+        if (!isAvailable(view.state.csv)) {
+            viewError.value = `"${view.name}": the dataset ${view.state.csv} is no longer available`
+            return
+        }
+        await applyState(view.state)
+    }
+
+    /**
+     * Downloads every saved view as a JSON file.
+     */
+    function exportViews() {
+        const content = {
+            format: export_format,
+            version: export_format_version,
+            exportedAt: new Date().toISOString(),
+            views: savedViews.value,
+        }
+        const blob = new Blob([JSON.stringify(content, null, 2)], { type: 'application/json' })
+        downloadBlob(blob, 'narmbench_saved_views.json')
+    }
+
+    /**
+     * Adds the views of an exported JSON file; views whose name is taken get a counter.
+     * @param {File} file - JSON file written by exportViews.
+     * @returns {Promise<void>}
+     */
+    async function importViews(file) {
+        viewError.value = null
+        try {
+            const content = JSON.parse(await file.text())
+            if (content?.format !== export_format || !Array.isArray(content.views)) {
+                throw new Error('not a saved-views file')
+            }
+            if (content.version > export_format_version) {
+                throw new Error(`written by a newer version (${content.version})`)
+            }
+            const views = content.views.filter(isValidView)
+            if (!views.length) throw new Error('no valid view in the file')
+            const imported = []
+            views.forEach(view => {
+                const entry = {
+                    id: createViewId(),
+                    name: getUniqueName(view.name.trim()),
+                    createdAt: view.createdAt || new Date().toISOString(),
+                    state: pickViewState(view.state),
+                }
+                imported.push(entry)
+                savedViews.value = [...savedViews.value, entry]
+            })
+            const skipped = content.views.length - imported.length
+            if (skipped) viewError.value = `${file.name}: ${skipped} invalid view(s) skipped`
+        } catch (error) {
+            viewError.value = `${file.name}: could not import views (${error.message})`
+        }
+    }
+
+    return {
+        savedViews,
+        viewError,
+        createView,
+        renameView,
+        deleteView,
+        applyView,
+        exportViews,
+        importViews,
+    }
+}
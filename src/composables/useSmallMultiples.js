@@ -0,0 +1,113 @@
+import { ref, computed } from 'vue'
+import { generateColors } from '../utils/chartConfig'
+import { computeModelScore, computeScaleRange, createRadarOptions, isMissingValue, getTraceColor } from './useChart'
+import { getDatasetLabel, sortCsvFiles } from './useCsvData'
+
+const custom_tile_padding = 8
+
+/**
+ * Turns a trace into its small-multiple form: full colour, light fill, thin line.
+ * @param {object} ds - Chart.js dataset.
+ * @param {string} color - HSL colour of the tool.
+ * @returns {object}
+ */
+function toTileDataset(ds, color) {
+    return {
+        ...ds,
+        borderColor: color,
+        backgroundColor: color.replace('hsl', 'hsla').replace(')', ', 0.15)'),
+        pointBackgroundColor: color,
+        borderWidth: 2,
+        pointRadius: 1,
+        pointHoverRadius: 4,
+        fill: true,
+    }
+}
+
+/**
+ * Small multiples: one compact radar per selected tool, or per modification file of the selected kit,
+ * with the same axes and scale on every tile. Clicking a tile shows it in the main chart (see SmallMultiplesView).
+ * @param {import('vue').Ref<object>} csvDataCache - Parsed CSV data loaded so far, keyed by file name.
+ * @param {import('vue').Ref<object>} kitFiles - File names per kit.
+ * @param {import('vue').Ref<string>} selectedKit - The currently selected kit.
+ * @param {import('vue').Ref<string>} selectedCsv - The currently selected CSV filename.
+ * @param {import('vue').Ref<object>} chartData - Chart data of the main radar (see useChart); gives the
+ *   axes, the ranking order and the colours of the selected file.
+ * @param {import('vue').Ref<string[]>} selectedModels - Tools selected in the tool selector.
+ * @param {import('vue').Ref<object>} modelColors - Colour per tool of the selected file.
+ * @param {(label: string) => number} getMetricWeight - Ranking weight of a metric, to order the traces of other files.
+ * @param {import('vue').Ref<string>} [colorPalette] - Key of colorPalettes in chartConfig.js.
+ */
+export function useSmallMultiples(csvDataCache, kitFiles, selectedKit, selectedCsv, chartData, selectedModels, modelColors, getMetricWeight, colorPalette = null) {
+    const gridMode = ref('tool') // 'tool' | 'modification'
+
+    const colorOf = (tool, fallback) => modelColors.value[tool] || fallback
+
+    // Tools of the selected file in ranking order: one tile each
+    const toolTiles = computed(() => chartData.value.datasets.filter(ds => !ds.isOverlay).map(ds => ({
+        key: ds.label,
+        title: ds.label,
+        data: {
+            labels: chartData.value.labels,
+            datasets: [toTileDataset(ds, getTraceColor(ds))],
+        },
+    })))
+
+    // Files of the selected kit: one tile each with the selected tools it has, in that file's ranking order
+    const modificationTiles = computed(() => {
+        const labels = chartData.value.labels
+        const files = sortCsvFiles(kitFiles.value[selectedKit.value] || [])
+        return files.map(file => {
+            const csvData = csvDataCache.value[file]
+            const tools = Object.keys(csvData?.data || {}).filter(tool => selectedModels.value.includes(tool))
+            const weights = (csvData?.labels || []).map(label => getMetricWeight(label))
+            const ranked = tools
+                .map(tool => ({ tool, ...computeModelScore(csvData.sortData[tool], weights) }))
+                .sort((a, b) => (b.score - a.score) || (b.coverage - a.coverage))
+                .map(({ tool }) => tool)
+            const fallbackColors = generateColors(ranked.length, ranked, colorPalette?.value)
+            const valuesFor = (key, tool) => labels.map(label => {
+                const index = csvData.labels.indexOf(label)
+                return index === -1 ? null : csvData[key][tool][index]
+            })
+            return {
+                key: file,
+                title: `${getDatasetLabel(file)}${file === selectedCsv.value ? ' (current)' : ''}`,
+                data: {
+                    labels,
+                    datasets: ranked.map((tool, i) => toTileDataset({
+                        label: tool,
+                        data: valuesFor('data', tool),
+                        rawData: valuesFor('rawData', tool),
+                        spanGaps: false,
+                    }, colorOf(tool, fallbackColors[i]))),
+                },
+            }
+        })
+    })
+
+    const tiles = computed(() => (gridMode.value === 'modification' ? modificationTiles.value : toolTiles.value))
+
+    // One scale for every tile, so shapes can be compared across tiles
+    const scaleRange = computed(() => computeScaleRange(tiles.value.flatMap(tile => tile.data.datasets.map(ds => ds.data))))
+
+    const tileOptions = computed(() => {
+        const options = createRadarOptions({ scaleRange: scaleRange.value })
+        options.layout = { padding: custom_tile_padding }
+        options.scales.r.pointLabels = { display: false }
+        options.scales.r.ticks = { ...options.scales.r.ticks, display: false }
+        options.plugins.pointLabelImages = false
+        options.plugins.tooltip.callbacks.label = (ctx) => {
+            const value = ctx.raw
+            const text = isMissingValue(value) ? 'not evaluated' : Number(value).toFixed(4)
+            return `${ctx.dataset.label} — ${ctx.label}: ${text}`
+        }
+        return options
+    })
+
+    return {
+        gridMode,
+        tiles,
+        tileOptions,
+    }
+}
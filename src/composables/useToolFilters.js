@@ -0,0 +1,80 @@
+import { ref, computed } from 'vue'
+import { getToolInfo, toolCategories, toolInputTypes } from '../utils/chartConfig'
+import { splitIntoColumns } from './useChart'
+import { getModification } from './useCsvData'
+
+// Registry fields the tool selector can filter and group by
+export const toolFilterFields = {
+    category: { title: 'Category', values: toolCategories },
+    input: { title: 'Input', values: toolInputTypes },
+}
+
+const unregistered_group = 'Not in registry'
+
+/**
+ * Whether a tool is designed for a modification: it lists it (or 'any'), or it is a variant retrained for the benchmark.
+ * @param {object|null} info - Entry from `getToolInfo`.
+ * @param {string} modification - Modification name, e.g. 'm6A'.
+ * @returns {boolean}
+ */
+export function supportsModification(info, modification) {
+    if (!info) return false
+    return info.retrained || info.modifications.includes('any') || info.modifications.includes(modification)
+}
+
+/**
+ * Filtering and grouping of the tool selector by the tool registry fields (see `toolRegistry` in chartConfig.js).
+ * @param {import('vue').Ref<string[]>} modelNames - Tools of the current dataset, in ranking order.
+ * @param {import('vue').Ref<string>} selectedCsv - The currently selected CSV filename.
+ * @param {import('vue').Ref<number>} [columnCount] - Selector columns per section (see useBreakpoints).
+ */
+export function useToolFilters(modelNames, selectedCsv, columnCount = null) {
+    const toolFilter = ref({ category: 'all', input: 'all', nativeOnly: false })
+    const toolGroupBy = ref('none') // 'none' | key of toolFilterFields
+
+    const modification = computed(() => (selectedCsv.value ? getModification(selectedCsv.value) : null))
+
+    const isFilterActive = computed(() => toolFilter.value.category !== 'all'
+        || toolFilter.value.input !== 'all'
+        || toolFilter.value.nativeOnly)
+
+    const filteredModelNames = computed(() => modelNames.value.filter(name => {
+        const info = getToolInfo(name)
+        const { category, input, nativeOnly } = toolFilter.value
+        if (category !== 'all' && info?.category !== category) return false
+        if (input !== 'all' && info?.input !== input) return false
+        if (nativeOnly && !supportsModification(info, modification.value)) return false
+        return true
+    }))
+
+    // Selector sections: one untitled section, or one per value of the grouping field (in registry order)
+    const modelGroups = computed(() => {
+        const field = toolFilterFields[toolGroupBy.value]
+        const columns = columnCount?.value || 1
+        if (!field) return [{ title: null, columns: splitIntoColumns(filteredModelNames.value, columns) }]
+        const titles = [...Object.values(field.values), unregistered_group]
+        const byTitle = {}
+        filteredModelNames.value.forEach(name => {
+            const value = getToolInfo(name)?.[toolGroupBy.value]
+            const title = field.values[value] || unregistered_group
+            if (!byTitle[title]) byTitle[title] = []
+            byTitle[title].push(name)
+        })
+        return titles
+            .filter(title => byTitle[title])
+            .map(title => ({ title, columns: splitIntoColumns(byTitle[title], columns) }))
+    })
+
+    function resetToolFilter() {
+        toolFilter.value = { category: 'all', input: 'all', nativeOnly: false }
+    }
+
+    return {
+        toolFilter,
+        toolGroupBy,
+        isFilterActive,
+        filteredModelNames,
+        modelGroups,
+        resetToolFilter,
+    }
+}
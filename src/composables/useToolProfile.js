@@ -0,0 +1,142 @@
+import { ref, computed, watch } from 'vue'
+import { generateColors } from '../utils/chartConfig'
+import { getDatasetLabel, sortCsvFiles } from './useCsvData'
+import { getAxisLabels, computeScaleRange, createRadarOptions } from './useChart'
+
+const custom_kit_dashes = [[], [8, 5], [2, 4]] // Line dash per kit, in kit order
+
+/**
+ * Tool-centric view: one radar trace per modification/kit dataset that contains the selected tool,
+ * plus a completeness grid of the modification/kit combinations the tool has no data for.
+ * @param {import('vue').Ref<object>} csvDataCache - Parsed CSV data loaded so far, keyed by file name.
+ * @param {import('vue').Ref<object>} kitFiles - File names per kit.
+ * @param {import('vue').Ref<string[]>} kits - Sorted kit names.
+ * @param {import('vue').Ref<object[]>} [manifest] - Dataset manifest; lists the tools of datasets not loaded yet.
+ * @param {import('vue').Ref<string[]>} [axisLabels] - Metric labels to draw, in axis order (see useMetricAxes).
+ * @param {import('vue').Ref<string>} [colorPalette] - Key of colorPalettes in chartConfig.js.
+ */
+export function useToolProfile(csvDataCache, kitFiles, kits, manifest = null, axisLabels = null, colorPalette = null) {
+    const selectedTool = ref(null)
+    const hoveredDatasetIndex = ref(null)
+
+    // Tools of a dataset: from its parsed data once loaded, from the manifest until then
+    const toolsOf = (file) => {
+        const csvData = csvDataCache.value[file]
+        if (csvData) return Object.keys(csvData.data)
+        return manifest?.value?.find(entry => entry.file === file)?.tools || []
+    }
+
+    // Every dataset file with its kit and modification, in preferred display order
+    const datasets = computed(() => {
+        const entries = []
+        kits.value.forEach(kit => {
+            (kitFiles.value[kit] || []).forEach(file => {
+                entries.push({ file, kit, modification: getDatasetLabel(file) })
+            })
+        })
+        const order = sortCsvFiles(entries.map(entry => entry.file))
+        return entries.sort((a, b) => order.indexOf(a.file) - order.indexOf(b.file))
+    })
+
+    const allTools = computed(() => {
+        const tools = new Set()
+        datasets.value.forEach(({ file }) => {
+            toolsOf(file).forEach(tool => tools.add(tool))
+        })
+        return [...tools].sort((a, b) => a.localeCompare(b))
+    })
+
+    watch(allTools, (newTools) => {
+        if (!newTools.includes(selectedTool.value)) {
+            selectedTool.value = newTools[0] || null
+        }
+    }, { immediate: true })
+
+    const toolDatasets = computed(() => datasets.value.filter(({ file }) => csvDataCache.value[file]?.data[selectedTool.value]))
+
+    const modifications = computed(() => [...new Set(datasets.value.map(entry => entry.modification))])
+
+    // Completeness grid: modification x kit -> 'present' | 'missing' (dataset without the tool) | 'no-dataset'
+    const completeness = computed(() => modifications.value.map(modification => ({
+        modification,
+        cells: kits.value.map(kit => {
+            const entry = datasets.value.find(ds => ds.kit === kit && ds.modification === modification)
+            let status = 'no-dataset'
+            if (entry) {
+                status = toolsOf(entry.file).includes(selectedTool.value) ? 'present' : 'missing'
+            }
+            return { kit, status, file: entry?.file || null }
+        }),
+    })))
+
+    const missingCombinations = computed(() => completeness.value.flatMap(row => row.cells
+        .filter(cell => cell.status === 'missing')
+        .map(cell => `${row.modification} / ${cell.kit}`)))
+
+    // Union of the metric labels of every dataset containing the tool, as set in the Metric axes panel
+    const labels = computed(() => {
+        const union = []
+        toolDatasets.value.forEach(({ file }) => {
+            csvDataCache.value[file].labels.forEach(label => {
+                if (!union.includes(label)) union.push(label)
+            })
+        })
+        return getAxisLabels(union, axisLabels)
+    })
+
+    const profileData = computed(() => {
+        if (!selectedTool.value || !labels.value.length) return { labels: [], datasets: [] }
+
+        const traceNames = toolDatasets.value.map(({ modification, kit }) => `${modification} · ${kit}`)
+        const colors = generateColors(traceNames.length, traceNames, colorPalette?.value)
+
+        const chartDatasets = toolDatasets.value.map(({ file, kit }, i) => {
+            const csvData = csvDataCache.value[file]
+            const valueFor = (key, label) => {
+                const index = csvData.labels.indexOf(label)
+                return index === -1 ? null : csvData[key][selectedTool.value][index]
+            }
+            const isHovered = hoveredDatasetIndex.value === i
+            return {
+                label: traceNames[i],
+                tool: selectedTool.value,
+                data: labels.value.map(label => valueFor('data', label)),
+                rawData: labels.value.map(label => valueFor('rawData', label)),
+                borderColor: colors[i],
+                backgroundColor: colors[i].replace('hsl', 'hsla').replace(')', `, ${isHovered ? 0.3 : 0.02})`),
+                pointBackgroundColor: colors[i],
+                borderDash: custom_kit_dashes[kits.value.indexOf(kit) % custom_kit_dashes.length],
+                borderWidth: isHovered ? 5 : 3,
+                pointRadius: isHovered ? 4 : 2,
+                pointHoverRadius: 6,
+                pointHitRadius: 10,
+                fill: isHovered,
+            }
+        })
+
+        return { labels: labels.value, datasets: chartDatasets }
+    })
+
+    const profileOptions = computed(() => createRadarOptions({
+        scaleRange: computeScaleRange(profileData.value.datasets.map(ds => ds.data)),
+        onHover: (event, chartElements) => {
+            hoveredDatasetIndex.value = chartElements.length > 0 ? chartElements[0].datasetIndex : null
+        }
+    }))
+
+    const traceStyles = computed(() => profileData.value.datasets.map(ds => ({
+        label: ds.label,
+        color: ds.borderColor,
+        dashed: ds.borderDash.length > 0,
+    })))
+
+    return {
+        selectedTool,
+        allTools,
+        completeness,
+        missingCombinations,
+        profileData,
+        profileOptions,
+        traceStyles,
+    }
+}
@@ -0,0 +1,98 @@
+import { ref, watch } from 'vue'
+
+/**
+ * Reads the view state encoded in the page URL query.
+ * Repeated parameters hold lists (`tool=A&tool=B`); `w=Label:weight` holds ranking weights.
+ * A present-but-empty `tool=` means "no tool selected", an absent one means "use the default".
+ * @param {string} [search] - Query string, defaults to the current location.
+ * @returns {{ kit?: string, csv?: string, models?: string[], view?: string, preset?: string,
+ *   weights?: object, axes?: string[], hidden?: string[] }}
+ */
+export function readUrlState(search = window.location.search) {
+    const params = new URLSearchParams(search)
+    const state = {}
+    if (params.get('kit')) state.kit = params.get('kit')
+    if (params.get('csv')) state.csv = params.get('csv')
+    if (params.has('tool')) state.models = params.getAll('tool').filter(Boolean)
+    if (params.get('view')) state.view = params.get('view')
+    if (params.get('preset')) state.preset = params.get('preset')
+    if (params.has('w')) {
+        state.weights = {}
+        params.getAll('w').forEach(entry => {
+            const separator = entry.lastIndexOf(':')
+            const weight = Number(entry.slice(separator + 1))
+            if (separator > 0 && Number.isFinite(weight)) state.weights[entry.slice(0, separator)] = weight
+        })
+    }
+    if (params.has('axis')) state.axes = params.getAll('axis').filter(Boolean)
+    if (params.has('hide')) state.hidden = params.getAll('hide').filter(Boolean)
+    return state
+}
+
+/**
+ * Builds a URL for a view state; options left at their defaults are omitted to keep links short.
+ * @param {object} state - See `readUrlState`; `allModelsSelected`, `isCustomRanking` and `isDefaultAxes`
+ *   tell which parts can be left out.
+ * @returns {string} - Absolute URL of the current page with the state in its query.
+ */
+export function buildStateUrl(state) {
+    const params = new URLSearchParams()
+    if (state.kit) params.set('kit', state.kit)
+    if (state.csv) params.set('csv', state.csv)
+    if (state.view && state.view !== 'radar') params.set('view', state.view)
+    if (Array.isArray(state.models) && !state.allModelsSelected) {
+        if (state.models.length) {
+            state.models.forEach(model => params.append('tool', model))
+        } else {
+            params.set('tool', '')
+        }
+    }
+    if (state.preset && (state.preset !== state.defaultPreset || state.isCustomRanking)) params.set('preset', state.preset)
+    if (state.isCustomRanking) {
+        Object.entries(state.weights || {}).forEach(([label, weight]) => params.append('w', `${label}:${weight}`))
+    }
+    if (!state.isDefaultAxes) {
+        const { axes = [], hidden = [] } = state
+        axes.forEach(label => params.append('axis', label))
+        hidden.forEach(label => params.append('hide', label))
+    }
+    const url = new URL(window.location.href)
+    url.search = params.toString()
+    url.hash = ''
+    return url.href
+}
+
+/**
+ * Keeps the page URL in sync with the view state, so the address bar is always a permalink,
+ * and provides a "copy link" action.
+ * @param {() => object} getState - Returns the current state for `buildStateUrl`; it is watched.
+ */
+export function useUrlState(getState) {
+    const copyStatus = ref(null) // 'copied' | 'failed' | null
+
+    watch(getState, (state) => {
+        const url = buildStateUrl(state)
+        if (url !== window.location.href) {
+            window.history.replaceState(window.history.state, '', url)
+        }
+    }, { deep: true })
+
+    async function copyLink() {
+        const url = buildStateUrl(getState())
+        try {
+            await navigator.clipboard.writeText(url)
+            copyStatus.value = 'copied'
+        } catch (error) {
+            console.error(`Failed to copy link: ${error.message}`)
+            // Fall back to a prompt so the user can copy it manually
+            window.prompt('Copy this link:', url)
+            copyStatus.value = 'failed'
+        }
+        setTimeout(() => { copyStatus.value = null }, 2000)
+    }
+
+    return {
+        copyStatus,
+        copyLink,
+    }
+}
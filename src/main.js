@@ -1,5 +1,9 @@
 import { createApp } from 'vue'
 import './style.css'
 import App from './App.vue'
+import { migratePreferences } from './utils/storage'
+
+// Upgrade preferences saved by earlier versions before any component reads them
+migratePreferences()
 
 createApp(App).mount('#app')
@@ -1,3 +1,5 @@
+import { getBaseToolName, isRetrainedTool } from './toolPairs';
+
 /**
  * 将 HEX 颜色代码转换为 HSL 字符串。
  * @param {string} hex - #RRGGBB 格式的颜色代码。
@@ -34,64 +36,188 @@ export function hexToHsl(hex) {
 }
 
 /**
- * 预设的模型颜色映射表 (HSL格式)。
- */
-export const modelColorMap = {
-    'm6Anet': hexToHsl('#2e3792'), // hsl(236, 54%, 38%)
-    'm6Anet-retrain': hexToHsl('#2e3792'), // hsl(236, 54%, 38%)
-    'EpiNano': hexToHsl('#8e5aa2'), // hsl(286, 32%, 49%)
-    'EpiNano-retrain': hexToHsl('#8e5aa2'), // hsl(286, 32%, 49%)
-    'SingleMod': hexToHsl('#f6c365'), // hsl(40, 89%, 67%)
-    'SingleMod-retrain': hexToHsl('#f6c365'), // hsl(40, 89%, 67%)
-    'NanoSPA': hexToHsl('#bc1932'), // hsl(351, 78%, 43%)
-    'NanoSPA-retrain': hexToHsl('#bc1932'), // hsl(351, 78%, 43%)
-    'TandemMod': hexToHsl('#9DCB62'), // hsl(90, 50%, 60%)
-    'TandemMod-retrain': hexToHsl('#9DCB62'), // hsl(90, 50%, 60%)
-    'Dinopore': hexToHsl('#F4B5CA'), // hsl(342, 77%, 83%)
-    'Dinopore-retrain': hexToHsl('#F4B5CA'), // hsl(342, 77%, 83%)
-    'Nanom6A': hexToHsl('#098889'), // hsl(181, 88%, 30%)
-    'ELIGOS': hexToHsl('#cca814'), // hsl(46, 83%, 44%)
-    'ELIGOS_diff': hexToHsl('#c5781a'), // hsl(33, 78%, 45%)
-    'MINES': hexToHsl('#7b5223'), // hsl(31, 55%, 31%)
-    'Epinano_delta': hexToHsl('#c896c8'), // hsl(300, 31%, 68%)
-    'CHEUI': hexToHsl('#6ab93c'), // hsl(101, 50%, 47%)
-    'Tombo': hexToHsl('#57217b'), // hsl(279, 57%, 30%)
-    'Tombo_com': hexToHsl('#b82373'), // hsl(325, 68%, 43%)
-    'DiffErr': hexToHsl('#cfe298'), // hsl(79, 57%, 72%)
-    'DRUMMER': hexToHsl('#d25a9c'), // hsl(326, 56%, 59%)
-    'xPore': hexToHsl('#5d96d0'), // hsl(211, 53%, 60%)
-    'Nanocompore': hexToHsl('#969696'), // hsl(0, 0%, 59%)
-    'DENA': hexToHsl('#a8d6b3'), // hsl(137, 35%, 75%)
-    'm6Aiso': hexToHsl('#f1881a'), // hsl(33, 89%, 52%)
-    'pum6A': hexToHsl('#129abf'), // hsl(193, 81%, 43%)
-    'NanoMUD': hexToHsl('#78862f'), // hsl(71, 50%, 34%)
-    'NanoRMS': hexToHsl('#4b4b4b'), // hsl(0, 0%, 29%)
-    'PsiNanopore': hexToHsl('#2a65b0'), // hsl(212, 60%, 43%)
-    'Xron': hexToHsl('#6affb9'), // hsl(155, 100%, 71%)
-    'Dorado': hexToHsl('#ef1fff'), // hsl(294, 100%, 56%)
+ * 工具分类：比较型 (需要 KO/WT 等对照样本) 与单样本型。
+ */
+export const toolCategories = {
+    'comparative': 'Comparative (KO/WT)',
+    'single-sample': 'Single-sample',
 };
 
+/**
+ * 工具输入类型：原始电流信号或碱基识别错误。
+ */
+export const toolInputTypes = {
+    'signal': 'Current signal',
+    'basecall-error': 'Basecall errors',
+};
 
 /**
- * 根据模型列表生成颜色数组。优先使用预设颜色。
- * @param {number} n - 模型数量。
- * @param {string[]} modelNames - 模型名称数组。
+ * 检测工具注册表，以原始工具名为键；`-retrain` 变体共享其原始工具的条目。
+ * - color: HSL 颜色
+ * - category: `toolCategories` 的键
+ * - input: `toolInputTypes` 的键
+ * - modifications: 工具原生支持的修饰类型，`'any'` 表示不限定修饰类型
+ * - version: 基准测试中使用的版本，未记录时为 null
+ * - doi: 引用文献的 DOI，未记录时为 null
+ * - url: 无 DOI 时的项目主页
+ */
+export const toolRegistry = {
+    'm6Anet': { color: hexToHsl('#2e3792'), category: 'single-sample', input: 'signal', modifications: ['m6A'], version: null, doi: '10.1038/s41592-022-01666-1' }, // hsl(236, 54%, 38%)
+    'EpiNano': { color: hexToHsl('#8e5aa2'), category: 'single-sample', input: 'basecall-error', modifications: ['m6A'], version: null, doi: '10.1038/s41467-019-11713-9' }, // hsl(286, 32%, 49%)
+    'SingleMod': { color: hexToHsl('#f6c365'), category: 'single-sample', input: 'signal', modifications: ['m6A'], version: null, doi: null }, // hsl(40, 89%, 67%)
+    'NanoSPA': { color: hexToHsl('#bc1932'), category: 'single-sample', input: 'signal', modifications: ['m6A', 'ψ'], version: null, doi: null }, // hsl(351, 78%, 43%)
+    'TandemMod': { color: hexToHsl('#9DCB62'), category: 'single-sample', input: 'signal', modifications: ['m6A', 'm5C', 'm7G', 'ψ', 'm1A', 'AtoI'], version: null, doi: '10.1038/s41467-024-48437-4' }, // hsl(90, 50%, 60%)
+    'Dinopore': { color: hexToHsl('#F4B5CA'), category: 'single-sample', input: 'signal', modifications: ['AtoI'], version: null, doi: '10.1038/s41592-022-01513-3' }, // hsl(342, 77%, 83%)
+    'Nanom6A': { color: hexToHsl('#098889'), category: 'single-sample', input: 'signal', modifications: ['m6A'], version: null, doi: '10.1186/s13059-020-02241-7' }, // hsl(181, 88%, 30%)
+    'ELIGOS': { color: hexToHsl('#cca814'), category: 'single-sample', input: 'basecall-error', modifications: ['any'], version: null, doi: '10.1093/nar/gkaa620' }, // hsl(46, 83%, 44%)
+    'ELIGOS_diff': { color: hexToHsl('#c5781a'), category: 'comparative', input: 'basecall-error', modifications: ['any'], version: null, doi: '10.1093/nar/gkaa620' }, // hsl(33, 78%, 45%)
+    'MINES': { color: hexToHsl('#7b5223'), category: 'single-sample', input: 'signal', modifications: ['m6A'], version: null, doi: '10.1261/rna.072785.119' }, // hsl(31, 55%, 31%)
+    'EpiNano_delta': { color: hexToHsl('#c896c8'), category: 'comparative', input: 'basecall-error', modifications: ['any'], version: null, doi: '10.1038/s41467-019-11713-9' }, // hsl(300, 31%, 68%)
+    'CHEUI': { color: hexToHsl('#6ab93c'), category: 'single-sample', input: 'signal', modifications: ['m6A', 'm5C'], version: null, doi: '10.1038/s41467-024-47953-7' }, // hsl(101, 50%, 47%)
+    'Tombo': { color: hexToHsl('#57217b'), category: 'single-sample', input: 'signal', modifications: ['any'], version: null, doi: '10.1101/094672' }, // hsl(279, 57%, 30%)
+    'Tombo_com': { color: hexToHsl('#b82373'), category: 'comparative', input: 'signal', modifications: ['any'], version: null, doi: '10.1101/094672' }, // hsl(325, 68%, 43%)
+    'DiffErr': { color: hexToHsl('#cfe298'), category: 'comparative', input: 'basecall-error', modifications: ['any'], version: null, doi: '10.7554/eLife.49658' }, // hsl(79, 57%, 72%)
+    'DRUMMER': { color: hexToHsl('#d25a9c'), category: 'comparative', input: 'basecall-error', modifications: ['any'], version: null, doi: '10.1093/bioinformatics/btac274' }, // hsl(326, 56%, 59%)
+    'xPore': { color: hexToHsl('#5d96d0'), category: 'comparative', input: 'signal', modifications: ['any'], version: null, doi: '10.1038/s41587-021-00949-w' }, // hsl(211, 53%, 60%)
+    'Nanocompore': { color: hexToHsl('#969696'), category: 'comparative', input: 'signal', modifications: ['any'], version: null, doi: '10.1038/s41467-021-27393-3' }, // hsl(0, 0%, 59%)
+    'DENA': { color: hexToHsl('#a8d6b3'), category: 'single-sample', input: 'signal', modifications: ['m6A'], version: null, doi: '10.1186/s13059-021-02598-3' }, // hsl(137, 35%, 75%)
+    'm6Aiso': { color: hexToHsl('#f1881a'), category: 'single-sample', input: 'signal', modifications: ['m6A'], version: null, doi: null }, // hsl(33, 89%, 52%)
+    'pum6A': { color: hexToHsl('#129abf'), category: 'single-sample', input: 'signal', modifications: ['m6A'], version: null, doi: null }, // hsl(193, 81%, 43%)
+    'NanoMUD': { color: hexToHsl('#78862f'), category: 'single-sample', input: 'signal', modifications: ['ψ'], version: null, doi: null }, // hsl(71, 50%, 34%)
+    'NanoRMS': { color: hexToHsl('#4b4b4b'), category: 'comparative', input: 'basecall-error', modifications: ['ψ'], version: null, doi: '10.1038/s41587-021-00915-6' }, // hsl(0, 0%, 29%)
+    'PsiNanopore': { color: hexToHsl('#2a65b0'), category: 'single-sample', input: 'basecall-error', modifications: ['ψ'], version: null, doi: '10.1186/s13059-021-02557-y' }, // hsl(212, 60%, 43%)
+    'Xron': { color: hexToHsl('#6affb9'), category: 'single-sample', input: 'signal', modifications: ['m6A'], version: null, doi: null }, // hsl(155, 100%, 71%)
+    'Dorado': { color: hexToHsl('#ef1fff'), category: 'single-sample', input: 'signal', modifications: ['m6A', 'ψ', 'm5C', 'AtoI'], version: null, doi: null, url: 'https://github.com/nanoporetech/dorado' }, // hsl(294, 100%, 56%)
+};
+
+/**
+ * 查询工具的注册信息；`-retrain` 变体返回其原始工具的条目并标记 `retrained`。
+ * @param {string} name - 工具名称。
+ * @returns {object|null} - 注册条目 (附加 `name`、`baseName`、`retrained`)，未注册时为 null。
+ */
+export function getToolInfo(name) {
+    const baseName = getBaseToolName(name);
+    const entry = toolRegistry[name] || toolRegistry[baseName];
+    if (!entry) return null;
+    return { ...entry, name, baseName, retrained: isRetrainedTool(name) };
+}
+
+/**
+ * 工具信息的单行摘要，用于图表提示框。
+ * @param {string} name - 工具名称。
+ * @returns {string|null}
+ */
+export function describeTool(name) {
+    const info = getToolInfo(name);
+    if (!info) return null;
+    const parts = [toolCategories[info.category], toolInputTypes[info.input]];
+    if (info.retrained) parts.push('retrained');
+    if (info.version) parts.push(`v${info.version}`);
+    return parts.join(' · ');
+}
+
+/**
+ * 预设的模型颜色映射表 (HSL格式)，由 `toolRegistry` 生成。
+ */
+export const modelColorMap = Object.fromEntries(
+    Object.entries(toolRegistry).map(([name, { color }]) => [name, color])
+);
+
+
+/**
+ * 可选配色方案。`Registry` 使用注册表中的工具颜色；其余方案按顺序分配颜色，
+ * 同一工具的 `-retrain` 变体与原始工具同色。Okabe–Ito 与 Paul Tol 方案对常见色觉缺陷友好。
+ */
+export const colorPalettes = {
+    'Registry': null,
+    'Okabe–Ito (colour-blind safe)': ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2', '#D55E00', '#CC79A7', '#000000'],
+    'Tol muted (colour-blind safe)': ['#332288', '#88CCEE', '#44AA99', '#117733', '#999933', '#DDCC77', '#CC6677', '#882255', '#AA4499'],
+};
+
+/**
+ * 默认配色方案。
+ */
+export const defaultColorPalette = 'Registry';
+
+/**
+ * 数据点标记形状 (Chart.js pointStyle) 及其在工具选择器中显示的符号，作为颜色之外的第二线索。
+ */
+export const markerShapes = [
+    { style: 'circle', glyph: '●' },
+    { style: 'rect', glyph: '■' },
+    { style: 'triangle', glyph: '▲' },
+    { style: 'rectRot', glyph: '◆' },
+    { style: 'star', glyph: '✱' },
+    { style: 'crossRot', glyph: '✕' },
+    { style: 'rectRounded', glyph: '▢' },
+    { style: 'cross', glyph: '✚' },
+];
+
+/**
+ * 第 i 条曲线的标记形状。与调色板长度错开，使颜色与形状的组合在两者循环后仍不重复。
+ * @param {number} i - 曲线序号。
+ * @param {number} [colorCount] - 调色板颜色数。
+ * @returns {{ style: string, glyph: string }}
+ */
+export function getMarkerShape(i, colorCount = markerShapes.length) {
+    const cycle = Math.floor(i / colorCount);
+    return markerShapes[(i + cycle) % markerShapes.length];
+}
+
+/**
+ * 从 `hsl(h, s%, l%)` 字符串中取出色相。
+ * @param {string} color - HSL 颜色。
+ * @returns {number|null}
+ */
+function getHue(color) {
+    const match = /^hsla?\(\s*([\d.]+)/.exec(color);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * 为未注册的工具生成备用色相：按黄金角取色，并避开本次已使用的预设颜色的色相。
+ * @param {number} count - 需要的颜色数量。
+ * @param {number[]} usedHues - 已使用的色相。
  * @returns {string[]} - HSL 颜色字符串数组。
  */
-export function generateColors(n, modelNames) {
+function generateFallbackColors(count, usedHues) {
+    const minDistance = 15;
+    const hues = [...usedHues];
     const colors = [];
-    for (let i = 0; i < n; i++) {
-        const model = modelNames[i];
-        if (modelColorMap[model]) {
-            colors.push(modelColorMap[model]);
-        } else {
-            // 为未预设的模型生成备用颜色
-            colors.push(`hsl(${Math.round((360 / n) * i)}, 70%, 60%)`);
+    for (let k = 0; colors.length < count; k++) {
+        const hue = Math.round((k * 137.508) % 360);
+        const distance = Math.min(360, ...hues.map(used => Math.min(Math.abs(hue - used), 360 - Math.abs(hue - used))));
+        // 色相耗尽时放宽要求，避免死循环
+        if (distance >= minDistance || k >= 360) {
+            hues.push(hue);
+            colors.push(`hsl(${hue}, 70%, 60%)`);
         }
     }
     return colors;
 }
 
+/**
+ * 根据模型列表生成颜色数组。默认使用注册表中的预设颜色，也可指定 `colorPalettes` 中的配色方案。
+ * @param {number} n - 模型数量。
+ * @param {string[]} modelNames - 模型名称数组。
+ * @param {string} [palette] - `colorPalettes` 的键。
+ * @returns {string[]} - HSL 颜色字符串数组。
+ */
+export function generateColors(n, modelNames, palette = defaultColorPalette) {
+    const names = modelNames.slice(0, n);
+    const paletteColors = colorPalettes[palette];
+    if (paletteColors) {
+        const baseNames = [...new Set(names.map(getBaseToolName))];
+        return names.map(model => hexToHsl(paletteColors[baseNames.indexOf(getBaseToolName(model)) % paletteColors.length]));
+    }
+
+    const infos = names.map(getToolInfo);
+    const usedHues = infos.filter(Boolean).map(info => getHue(info.color));
+    // 为未预设的模型生成备用颜色
+    const fallback = generateFallbackColors(infos.filter(info => !info).length, usedHues);
+    return infos.map(info => (info ? info.color : fallback.shift()));
+}
+
 /**
  * CSV 文件的首选排序顺序。
  */
@@ -109,3 +235,87 @@ export const preferredCsvOrder = [
     'm7G_004.csv',
     'm1A_004.csv',
 ];
+
+/**
+ * 指标分组，用于在雷达图上只显示某一组坐标轴。
+ * 组内的标签需与 CSV 表头一致；当前数据集中不存在的标签会被忽略。
+ */
+export const metricGroups = {
+    'Accuracy': [
+        'AUROC',
+        'AUPRC',
+        'Distribution similarity with ground-truth',
+    ],
+    'Robustness': [
+        'Difference between KO and WT',
+        'Replicates correlation',
+        'Replicates overlap',
+        'Conserved motif bias',
+        'Sequencing depth bias',
+        'Modification level bias',
+    ],
+    'Efficiency': [
+        'Speed',
+        'Memory efficiency',
+    ],
+};
+
+
+/**
+ * 指标定义，显示在指标详情面板中 (点击雷达图的坐标轴标签或图标打开)。
+ * 所有指标都按 CSV 中的 Max / Min 行归一化，1 为最好。
+ */
+export const metricDefinitions = {
+    'AUROC': 'Area under the ROC curve of the site-level predictions against the ground-truth sites: how well the tool ranks modified sites above unmodified ones, whatever the threshold. 0.5 is random ranking.',
+    'AUPRC': 'Area under the precision-recall curve of the site-level predictions. Unlike AUROC it is sensitive to class imbalance, which matters because modified sites are rare.',
+    'Distribution similarity with ground-truth': 'How closely the distribution of the tool\'s predicted sites follows the distribution of the ground-truth sites.',
+    'Difference between KO and WT': 'How clearly the tool separates wild-type samples from samples where the modification writer was knocked out: a good tool reports far fewer sites in the knockout.',
+    'Replicates correlation': 'Correlation of the per-site predictions between biological replicates; a measure of reproducibility.',
+    'Replicates overlap': 'Overlap between the sites detected in biological replicates; a measure of reproducibility of the site calls.',
+    'Conserved motif bias': 'How much the performance depends on whether a site lies in the conserved sequence motif of the modification. Higher means less bias.',
+    'Overlap with known motifs': 'Share of the predicted sites that lie in the known sequence motifs of the modification.',
+    'Sequencing depth bias': 'How much the performance changes with the read coverage of the sites. Higher means more stable across depths.',
+    'Modification level bias': 'How much the performance changes with the modification level (stoichiometry) of the sites. Higher means more stable across levels.',
+    'Speed': 'Running time on the benchmark data, rescaled so that faster tools score higher.',
+    'Memory efficiency': 'Peak memory use on the benchmark data, rescaled so that tools using less memory score higher.',
+};
+
+
+/**
+ * 排序权重预设。每个预设为指标标签指定权重，未列出的指标使用 `defaultWeight`。
+ * 综合得分为模型可用指标 (非 NA) 的加权平均值。
+ */
+export const rankingPresets = {
+    'Balanced': { defaultWeight: 1, weights: {} },
+    'Accuracy only': {
+        defaultWeight: 0,
+        weights: {
+            'AUROC': 1,
+            'AUPRC': 1,
+            'Distribution similarity with ground-truth': 1,
+        },
+    },
+    'Robustness': {
+        defaultWeight: 0,
+        weights: {
+            'Difference between KO and WT': 1,
+            'Replicates correlation': 1,
+            'Replicates overlap': 1,
+            'Conserved motif bias': 1,
+            'Sequencing depth bias': 1,
+            'Modification level bias': 1,
+        },
+    },
+    'Speed & memory': {
+        defaultWeight: 0,
+        weights: {
+            'Speed': 1,
+            'Memory efficiency': 1,
+        },
+    },
+};
+
+/**
+ * 默认排序预设。
+ */
+export const defaultRankingPreset = 'Balanced';
@@ -0,0 +1,74 @@
+/**
+ * RFC 4180 CSV tokenizer.
+ * Handles quoted fields (with embedded commas, line breaks and doubled quotes), CRLF / CR / LF
+ * line endings and a leading UTF-8 BOM. Completely empty lines are dropped.
+ * @param {string} text - CSV file content.
+ * @returns {{ fields: string[], line: number }[]} - Records with the 1-based line number they start on.
+ */
+export function parseCsv(text) {
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+    const records = []
+    let fields = []
+    let field = ''
+    let inQuotes = false
+    let line = 1
+    let recordLine = 1
+
+    const endRecord = () => {
+        fields.push(field)
+        // A record made of a single empty field is a blank line
+        if (fields.length > 1 || fields[0] !== '') {
+            records.push({ fields, line: recordLine })
+        }
+        fields = []
+        field = ''
+    }
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i]
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"'
+                    i++
+                } else {
+                    inQuotes = false
+                }
+            } else {
+                if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++
+                field += char
+            }
+            continue
+        }
+
+        if (char === '"' && field === '') {
+            inQuotes = true
+        } else if (char === ',') {
+            fields.push(field)
+            field = ''
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && input[i + 1] === '\n') i++
+            endRecord()
+            line++
+            recordLine = line
+        } else {
+            field += char
+        }
+    }
+    if (field !== '' || fields.length) endRecord()
+
+    return records
+}
+
+/**
+ * Drops empty cells at the end of a record (e.g. trailing commas written by spreadsheet tools).
+ * @param {string[]} fields - Record fields.
+ * @param {number} minLength - Never trim below this many fields.
+ * @returns {string[]} - Trimmed fields.
+ */
+export function trimTrailingEmpty(fields, minLength = 0) {
+    let end = fields.length
+    while (end > minLength && fields[end - 1].trim() === '') end--
+    return fields.slice(0, end)
+}
@@ -0,0 +1,127 @@
+// Dataset naming and metadata. Without declared metadata, the file name is parsed:
+// '<modification>_<kit number>.csv', e.g. 'm6A_002.csv' for m6A with SQK-RNA002, and datasets in a
+// subfolder belong to the benchmark release named after it ('v1/m6A_002.csv'). Dataset keys are paths relative to src/data.
+// Shared by the app and the build-time dataset manifest (plugins/datasetManifest.js), so no browser or Vite APIs here.
+
+/**
+ * Extracts the kit version from a CSV file name.
+ * @param {string} fileName - CSV filename
+ * @returns {string} - Kit name (e.g., 'SQK-RNA002') or 'No Kit'
+ */
+export function getKitFromFileName(fileName) {
+    const match = fileName.match(/_(\d{3})\.csv$/)
+    if (match) {
+        return `SQK-RNA${match[1]}`
+    }
+    return 'No Kit'
+}
+
+/**
+ * Extracts the modification name from a CSV file name (e.g. 'm6A_002.csv' -> 'm6A').
+ * @param {string} fileName - CSV filename
+ * @returns {string} - Modification name
+ */
+export function getModificationFromFileName(fileName) {
+    return fileName.split('/').pop().replace(/_\d{3}\.csv$/, '.csv').replace(/\.csv$/, '')
+}
+
+/**
+ * Extracts the benchmark release from a dataset path (e.g. 'v1/m6A_002.csv' -> 'v1').
+ * @param {string} fileName - Dataset path relative to src/data
+ * @returns {string|null} - Release name, or null for datasets at the top level (the current release)
+ */
+export function getReleaseFromFileName(fileName) {
+    const parts = fileName.split('/')
+    return parts.length > 1 ? parts[parts.length - 2] : null
+}
+
+// Name shown for datasets without a declared release: the top-level datasets, i.e. the current results
+export const current_release = 'Current'
+
+/**
+ * Orders releases oldest first: natural order of their names (v2 before v10), the current release last.
+ * @param {string|null} a - Release name, null for the current release.
+ * @param {string|null} b - Release name, null for the current release.
+ * @returns {number}
+ */
+export function compareReleases(a, b) {
+    if (a === b) return 0
+    if (a === null) return 1
+    if (b === null) return -1
+    return a.localeCompare(b, undefined, { numeric: true })
+}
+
+// Dimensions describing a dataset, in facet order. Values are declared in a sidecar '<name>.meta.json'
+// or in a '# key: value' header block at the top of the CSV; modification and kit fall back to the file name, release to the subfolder
+export const dataset_dimensions = [
+    { key: 'modification', label: 'RNA modification type' },
+    { key: 'kit', label: 'ONT-DRS chemistry version' },
+    { key: 'sample', label: 'Cell line / sample' },
+    { key: 'groundTruth', label: 'Ground-truth source' },
+    { key: 'release', label: 'Benchmark release', unspecified: current_release },
+]
+
+// Accepted spellings of the dimension keys, compared lower-case without spaces, '-' or '_'
+const dimension_aliases = {
+    modification: 'modification',
+    kit: 'kit',
+    chemistry: 'kit',
+    sample: 'sample',
+    cellline: 'sample',
+    groundtruth: 'groundTruth',
+    groundtruthsource: 'groundTruth',
+    release: 'release',
+    benchmarkrelease: 'release',
+}
+
+/**
+ * Maps declared metadata onto the dataset dimensions; unknown keys and empty values are dropped.
+ * @param {object} raw - Key/value pairs from a sidecar or a header block.
+ * @returns {object} - Values by dimension key.
+ */
+export function normaliseMetadata(raw) {
+    const metadata = {}
+    Object.entries(raw || {}).forEach(([key, value]) => {
+        const dimension = dimension_aliases[key.toLowerCase().replace(/[\s_-]/g, '')]
+        const text = value === null || value === undefined ? '' : String(value).trim()
+        if (dimension && text) metadata[dimension] = text
+    })
+    return metadata
+}
+
+/**
+ * Reads the '# key: value' lines at the top of a CSV. They are blanked rather than removed
+ * so that the line numbers of the validation report still match the file.
+ * @param {string} content - CSV file content.
+ * @returns {{ metadata: object, body: string }} - Declared metadata, and the content without the block.
+ */
+export function splitMetadataBlock(content) {
+    const lines = content.split(/\r\n|\r|\n/)
+    const raw = {}
+    let i = 0
+    for (; i < lines.length; i++) {
+        const line = lines[i].replace(/^\uFEFF/, '').trim()
+        if (!line.startsWith('#')) break
+        const match = line.slice(1).match(/^\s*([^:=]+?)\s*[:=]\s*(.*)$/)
+        if (match) raw[match[1]] = match[2]
+    }
+    if (i === 0) return { metadata: {}, body: content }
+    return { metadata: normaliseMetadata(raw), body: [...lines.slice(0, i).map(() => ''), ...lines.slice(i)].join('\n') }
+}
+
+/**
+ * Full description of a dataset: the declared metadata, completed from the file name.
+ * @param {string} fileName - CSV file name.
+ * @param {object} [declared] - Metadata from a sidecar or header block (see normaliseMetadata).
+ * @returns {{ modification: string, kit: string, sample: string|null, groundTruth: string|null, release: string|null }}
+ */
+export function getDatasetMetadata(fileName, declared = {}) {
+    const metadata = {}
+    dataset_dimensions.forEach(({ key }) => {
+        metadata[key] = declared[key] || null
+    })
+    metadata.modification ??= getModificationFromFileName(fileName)
+    metadata.kit ??= getKitFromFileName(fileName)
+    metadata.release ??= getReleaseFromFileName(fileName)
+    return metadata
+}
@@ -0,0 +1,73 @@
+const DB_NAME = 'narmbench_radar'
+const DB_VERSION = 1
+const STORE_NAME = 'uploadedDatasets'
+
+/**
+ * Opens (and creates on first use) the IndexedDB database holding user-uploaded CSVs.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available in this browser'))
+            return
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION)
+        request.onupgradeneeded = () => {
+            const db = request.result
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME, { keyPath: 'fileName' })
+            }
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+    })
+}
+
+/**
+ * Runs a single request against the uploaded datasets store.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {(store: IDBObjectStore) => IDBRequest} action - Builds the request to run.
+ * @returns {Promise<any>} - The request result.
+ */
+async function withStore(mode, action) {
+    const db = await openDatabase()
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode)
+            const request = action(transaction.objectStore(STORE_NAME))
+            transaction.oncomplete = () => resolve(request.result)
+            transaction.onerror = () => reject(transaction.error)
+            transaction.onabort = () => reject(transaction.error)
+        })
+    } finally {
+        db.close()
+    }
+}
+
+/**
+ * Loads all uploaded datasets persisted in the browser.
+ * @returns {Promise<{ fileName: string, kit: string, content: string, uploadedAt: number }[]>} - Rejects when the
+ *   store cannot be read, so callers can tell "no uploads" from "uploads unknown".
+ */
+export async function loadUploadedDatasets() {
+    return (await withStore('readonly', store => store.getAll())) || []
+}
+
+/**
+ * Persists an uploaded dataset (raw CSV content plus the kit it was filed under).
+ * @param {{ fileName: string, kit: string, content: string, uploadedAt: number }} record - Dataset record.
+ * @returns {Promise<void>}
+ */
+export async function saveUploadedDataset(record) {
+    await withStore('readwrite', store => store.put(record))
+}
+
+/**
+ * Removes a persisted uploaded dataset.
+ * @param {string} fileName - File name the dataset was stored under.
+ * @returns {Promise<void>}
+ */
+export async function deleteUploadedDataset(fileName) {
+    await withStore('readwrite', store => store.delete(fileName))
+}
@@ -0,0 +1,170 @@
+import iconManifest from '../assets/icons/manifest.json'
+
+// Icon files shipped in src/assets/icons: PNG as URLs, SVG as markup so they can be inlined
+const pngIconUrls = import.meta.glob('../assets/icons/*.png', { eager: true, query: '?url', import: 'default' })
+const svgIconMarkup = import.meta.glob('../assets/icons/*.svg', { eager: true, query: '?raw', import: 'default' })
+
+const badge_words_skipped = new Set(['and', 'between', 'of', 'the', 'to', 'vs', 'with'])
+const badge_max_letters = 3
+
+// Loaded (or loading) icons, keyed by mode and label; see loadIcon
+const iconCache = new Map()
+
+export { iconManifest }
+
+// Whether any metric has an SVG icon; without one the vector icon option has nothing to show
+export const hasSvgIcons = Object.keys(svgIconMarkup).length > 0
+
+const toAssetPath = fileName => `../assets/icons/${fileName}`
+const withExtension = (fileName, extension) => fileName.replace(/\.[^.]+$/, '') + extension
+
+/**
+ * Maps a metric label to its icon file name: the manifest entry (src/assets/icons/manifest.json),
+ * otherwise the label in lower case with whitespace removed.
+ * @param {string} label - Metric label from the CSV header.
+ * @returns {string} - Icon file name, e.g. 'auroc.png'.
+ */
+export function getIconFileName(label) {
+    return iconManifest[label] || label.toLowerCase().replace(/\s+/g, '') + '.png'
+}
+
+/**
+ * Returns the URL of a metric's PNG icon.
+ * @param {string} label - Metric label.
+ * @returns {string|null} - Icon URL, or null if there is no PNG icon for the label.
+ */
+export function getIconUrl(label) {
+    return pngIconUrls[toAssetPath(withExtension(getIconFileName(label), '.png'))] || null
+}
+
+/**
+ * Returns the markup of a metric's SVG icon.
+ * @param {string} label - Metric label.
+ * @returns {string|null} - SVG markup, or null if there is no SVG icon for the label.
+ */
+export function getIconSvg(label) {
+    return svgIconMarkup[toAssetPath(withExtension(getIconFileName(label), '.svg'))] || null
+}
+
+/**
+ * Whether an icon file exists for a metric label (otherwise a generated badge is shown).
+ * @param {string} label - Metric label.
+ * @returns {boolean}
+ */
+export function hasIcon(label) {
+    return Boolean(getIconUrl(label) || getIconSvg(label))
+}
+
+/**
+ * Up to three initials of a label, skipping filler words ('Difference between KO and WT' -> 'DKW').
+ * @param {string} label - Metric label.
+ * @returns {string}
+ */
+function getBadgeText(label) {
+    const words = label.split(/[\s-]+/).filter(word => /^[\p{L}\p{N}]/u.test(word))
+    const significant = words.filter(word => !badge_words_skipped.has(word.toLowerCase()))
+    return (significant.length ? significant : words)
+        .slice(0, badge_max_letters)
+        .map(word => word[0].toUpperCase())
+        .join('') || '?'
+}
+
+/**
+ * Generates the fallback badge of a metric without an icon: its initials in a circle whose
+ * colour is derived from the label, so a badge looks the same in every chart and export.
+ * @param {string} label - Metric label.
+ * @returns {string} - SVG markup (64 × 64 viewBox, no fixed size).
+ */
+export function createBadgeSvg(label) {
+    const hash = [...label].reduce((sum, char) => (sum * 31 + char.codePointAt(0)) % 360, 7)
+    const text = getBadgeText(label)
+    const fontSize = text.length > 2 ? 22 : 28
+    return '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64">'
+        + `<circle cx="32" cy="32" r="30" fill="hsl(${hash}, 45%, 45%)"/>`
+        + `<text x="32" y="33" text-anchor="middle" dominant-baseline="middle" font-family="sans-serif" font-weight="bold" font-size="${fontSize}" fill="#ffffff">${text}</text>`
+        + '</svg>'
+}
+
+const svgToDataUrl = markup => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`
+
+/**
+ * Loads an image element.
+ * @param {string} src - Image URL.
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image()
+        img.onload = () => resolve(img)
+        img.onerror = () => reject(new Error(`Failed to load ${src}`))
+        img.src = src
+    })
+}
+
+/**
+ * Loads the icon of a metric label. PNG mode uses the PNG icon, falling back to the SVG icon;
+ * SVG mode uses the SVG icon, falling back to the PNG icon (exports embed it as an image). Labels
+ * without an icon, and icons that fail to load, get a generated badge.
+ * @param {string} label - Metric label.
+ * @param {{ svg?: boolean }} [options]
+ * @returns {Promise<{ label: string, source: 'png'|'svg'|'badge', img: HTMLImageElement, markup: string|null }|null>}
+ *   - null where images cannot be loaded (no DOM).
+ */
+export function loadIcon(label, { svg = false } = {}) {
+    const key = `${svg ? 'svg' : 'png'}:${label}`
+    if (iconCache.has(key)) return iconCache.get(key).promise
+    if (typeof Image === 'undefined') return Promise.resolve(null)
+
+    const entry = { icon: null, promise: null }
+    const loadBadge = () => {
+        const markup = createBadgeSvg(label)
+        return loadImage(svgToDataUrl(markup)).then(img => ({ label, source: 'badge', img, markup }))
+    }
+    const loadSvg = (markup) => loadImage(svgToDataUrl(markup)).then(img => ({ label, source: 'svg', img, markup }))
+
+    const svgMarkup = getIconSvg(label)
+    const pngUrl = getIconUrl(label)
+    let promise
+    if (svgMarkup && (svg || !pngUrl)) {
+        promise = loadSvg(svgMarkup)
+    } else if (pngUrl) {
+        promise = loadImage(pngUrl).then(img => ({ label, source: 'png', img, markup: null }))
+    } else {
+        promise = loadBadge()
+    }
+    entry.promise = promise
+        .catch((error) => {
+            console.error(`Icon for ${label}: ${error.message}; using a badge instead`)
+            return loadBadge()
+        })
+        .then((icon) => {
+            entry.icon = icon
+            return icon
+        })
+        .catch((error) => {
+            console.error(`Badge for ${label}: ${error.message}`)
+            return null
+        })
+    iconCache.set(key, entry)
+    return entry.promise
+}
+
+/**
+ * Loads the icons of several metric labels.
+ * @param {string[]} labels - Metric labels.
+ * @param {{ svg?: boolean }} [options] - See loadIcon.
+ * @returns {Promise<object[]>} - Resolves once every icon is loaded or replaced by its badge.
+ */
+export function loadIcons(labels, options = {}) {
+    return Promise.all(labels.map(label => loadIcon(label, options)))
+}
+
+/**
+ * The icon of a metric label if it has finished loading (see loadIcon), without starting a load.
+ * @param {string} label - Metric label.
+ * @param {{ svg?: boolean }} [options]
+ * @returns {object|null}
+ */
+export function getLoadedIcon(label, { svg = false } = {}) {
+    return iconCache.get(`${svg ? 'svg' : 'png'}:${label}`)?.icon || null
+}
@@ -1,30 +1,64 @@
-const custom_expiry_minutes = 10
+// Version of the stored preference format; bump it and append a migration when the format changes
+export const preferences_version = 2
+const version_key = 'preferencesVersion'
+
+// Keys owned by the app (other pages on the same origin may use localStorage too)
+const preference_keys = ['selectedKit', 'selectedCsv', 'rankingWeights', 'chartDisplay', 'chartOverlays', 'pinnedTools', 'savedViews']
+// Per-dataset keys: `selectedModels_<kit>_<csv file>` and `metricAxes_<modification>`
+const models_prefix = 'selectedModels_'
+const axes_prefix = 'metricAxes_'
+
+// Upgrades of a stored entry, indexed by the version they upgrade from:
+// 0: bare JSON value (before expiry was added), 1: { value, expiry } with a 10-minute TTL, 2: { version, value }
+const entry_migrations = [
+    value => ({ value, expiry: null }),
+    ({ value }) => ({ version: 2, value }), // Expired entries are kept: preferences no longer expire
+]
+
+/**
+ * Version of a parsed stored entry.
+ * @param {any} item - Parsed localStorage content.
+ * @returns {number}
+ */
+function getEntryVersion(item) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return 0
+    if (Number.isInteger(item.version)) return item.version
+    if ('value' in item && 'expiry' in item) return 1
+    return 0
+}
+
+/**
+ * Whether a localStorage key holds an app preference.
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isPreferenceKey(key) {
+    return preference_keys.includes(key) || key.startsWith(models_prefix) || key.startsWith(axes_prefix)
+}
 
 /**
- * Checks if the localStorage data has expired.
+ * Reads a stored entry, upgrading it to the current format (and rewriting it) if it is older.
  * @param {string} key - localStorage key.
- * @returns {any|null} - Data value or null.
+ * @returns {{ version: number, value: any }|null} - null if absent, unreadable or from a newer app version.
  */
-export function getStoredWithExpiry(key) {
+function readEntry(key) {
     const itemStr = localStorage.getItem(key)
-    if (!itemStr) return null
-
+    if (itemStr === null) return null
     try {
-        const item = JSON.parse(itemStr)
-        // Check if it is a new format ({ value, expiry })
-        if (item && typeof item === 'object' && 'value' in item && 'expiry' in item) {
-            const now = new Date().getTime()
-            if (now > item.expiry) {
-                localStorage.removeItem(key)
-                return null
+        let entry = JSON.parse(itemStr)
+        let version = getEntryVersion(entry)
+        if (version > preferences_version) {
+            console.warn(`${key} was saved by a newer version (${version}); ignoring it`)
+            return null
+        }
+        if (version < preferences_version) {
+            while (version < preferences_version) {
+                entry = entry_migrations[version](entry)
+                version++
             }
-            return item.value
+            localStorage.setItem(key, JSON.stringify(entry))
         }
-        // Compatible with old format (direct JSON array)
-        console.warn(`Legacy format detected for ${key}: ${itemStr}`)
-        // Migrate legacy format
-        setStoredWithExpiry(key, item)
-        return item
+        return entry
     } catch (error) {
         console.error(`Failed to parse ${key} from localStorage: ${error.message}`)
         return null
@@ -32,15 +66,76 @@ export function getStoredWithExpiry(key) {
 }
 
 /**
- * Save data to localStorage and set expiry time.
+ * Reads a user preference.
+ * @param {string} key - localStorage key.
+ * @returns {any|null} - The stored value, or null.
+ */
+export function getPreference(key) {
+    return readEntry(key)?.value ?? null
+}
+
+/**
+ * Saves a user preference (kept until it is overwritten, removed or garbage-collected).
  * @param {string} key - localStorage key.
  * @param {any} value - The value to save.
- * @param {number} ttl - Time to live in milliseconds. Defaults to custom setting.
  */
-export function setStoredWithExpiry(key, value, ttl = custom_expiry_minutes * 60 * 1000) {
-    const item = {
-        value,
-        expiry: new Date().getTime() + ttl,
+export function setPreference(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify({ version: preferences_version, value }))
+    } catch (error) {
+        console.error(`Failed to save ${key} to localStorage: ${error.message}`)
     }
-    localStorage.setItem(key, JSON.stringify(item))
-}
\ No newline at end of file
+}
+
+/**
+ * Removes a user preference.
+ * @param {string} key - localStorage key.
+ */
+export function removePreference(key) {
+    localStorage.removeItem(key)
+}
+
+/**
+ * Upgrades every stored preference to the current format. Runs once per format version;
+ * entries are also upgraded one by one when they are read.
+ */
+export function migratePreferences() {
+    if (Number(localStorage.getItem(version_key)) === preferences_version) return
+    const keys = []
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i)
+        if (key && isPreferenceKey(key)) keys.push(key)
+    }
+    keys.forEach(readEntry)
+    localStorage.setItem(version_key, String(preferences_version))
+}
+
+/**
+ * Removes the per-dataset preferences of datasets that no longer exist (renamed, removed or
+ * deleted uploads), and a stored selection of such a dataset.
+ * @param {object} kitFiles - File names per kit, of every dataset currently available.
+ * @param {(fileName: string) => string} getModification - Modification of a dataset file.
+ * @returns {string[]} - The removed keys.
+ */
+export function collectStalePreferences(kitFiles, getModification) {
+    const modelKeys = new Set()
+    const modifications = new Set()
+    Object.entries(kitFiles).forEach(([kit, files]) => {
+        files.forEach(file => {
+            modelKeys.add(`${models_prefix}${kit}_${file}`)
+            modifications.add(getModification(file))
+        })
+    })
+    const stale = []
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i)
+        if (!key) continue
+        if (key.startsWith(models_prefix) && !modelKeys.has(key)) stale.push(key)
+        if (key.startsWith(axes_prefix) && !modifications.has(key.slice(axes_prefix.length))) stale.push(key)
+    }
+    const files = Object.values(kitFiles).flat()
+    if (getPreference('selectedCsv') && !files.includes(getPreference('selectedCsv'))) stale.push('selectedCsv')
+    if (getPreference('selectedKit') && !(getPreference('selectedKit') in kitFiles)) stale.push('selectedKit')
+    stale.forEach(removePreference)
+    return stale
+}
@@ -0,0 +1,36 @@
+// Suffix that marks a tool retrained on the benchmark data, e.g. 'm6Anet-retrain'
+const retrainSuffix = /[-_ ]retrain(ed)?$/i
+
+/**
+ * Whether a tool name denotes a retrained variant.
+ * @param {string} name - Tool name.
+ * @returns {boolean}
+ */
+export function isRetrainedTool(name) {
+    return retrainSuffix.test(name)
+}
+
+/**
+ * Name of the original tool a retrained variant was derived from ('m6Anet-retrain' -> 'm6Anet').
+ * @param {string} name - Tool name.
+ * @returns {string} - The name itself if it is not a retrained variant.
+ */
+export function getBaseToolName(name) {
+    return name.replace(retrainSuffix, '')
+}
+
+/**
+ * Finds original/retrained pairs among tool names. Retrained variants whose original is not
+ * in the list are not paired.
+ * @param {string[]} names - Tool names, in display order; pairs follow the order of their original.
+ * @returns {{ original: string, retrained: string }[]}
+ */
+export function findRetrainPairs(names) {
+    return names
+        .filter(name => !isRetrainedTool(name))
+        .map(original => ({
+            original,
+            retrained: names.find(name => isRetrainedTool(name) && getBaseToolName(name) === original),
+        }))
+        .filter(pair => pair.retrained)
+}
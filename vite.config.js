@@ -1,8 +1,9 @@
 import { defineConfig } from 'vite'
 import vue from '@vitejs/plugin-vue'
+import datasetManifest from './plugins/datasetManifest.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [vue()],
+  plugins: [vue(), datasetManifest()],
   base: '/NaRMBench_radar/' // Replace with your repository name
 })